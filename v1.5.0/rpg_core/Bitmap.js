@@ -614,6 +614,41 @@ Bitmap.prototype.drawCircle = function(x, y, radius, color) {
     this._setDirty();
 };
 
+/**
+ * Fills a circle, or a sector of it, with a radial gradient.
+ *
+ * @method gradientFillCircle
+ * @param {Number} x The x coordinate based on the circle center
+ * @param {Number} y The y coordinate based on the circle center
+ * @param {Number} radius The radius of the circle
+ * @param {String} color1 The gradient color at the center
+ * @param {String} color2 The gradient color at the edge
+ * @param {Number} [startAngle] The start angle of the sector in radians
+ * @param {Number} [endAngle] The end angle of the sector in radians
+ * @param {String} [operation] The composite operation, 'source-over' by default
+ */
+Bitmap.prototype.gradientFillCircle = function(x, y, radius, color1, color2,
+                                               startAngle, endAngle, operation) {
+    var context = this._context;
+    var grad = context.createRadialGradient(x, y, 0, x, y, radius);
+    grad.addColorStop(0, color1);
+    grad.addColorStop(1, color2);
+    context.save();
+    context.globalCompositeOperation = operation || 'source-over';
+    context.fillStyle = grad;
+    context.beginPath();
+    if (startAngle !== undefined && endAngle !== undefined) {
+        context.moveTo(x, y);
+        context.arc(x, y, radius, startAngle, endAngle, false);
+        context.closePath();
+    } else {
+        context.arc(x, y, radius, 0, Math.PI * 2, false);
+    }
+    context.fill();
+    context.restore();
+    this._setDirty();
+};
+
 /**
  * Draws the outline text to the bitmap.
  *
@@ -0,0 +1,405 @@
+//-----------------------------------------------------------------------------
+/**
+ * The compiled form of a damage formula from the database.
+ *
+ * Formulas are written in a small expression language instead of being passed
+ * to eval. It supports numbers, the subject a and the target b with their
+ * parameters, the variables v[n], Math functions, arithmetic, comparison and
+ * logical operators, and the ternary operator.
+ *
+ * @class DamageFormula
+ * @constructor
+ * @param {String} source The formula text
+ */
+function DamageFormula() {
+    this.initialize.apply(this, arguments);
+}
+
+/**
+ * The battler properties that can be read from a formula.
+ *
+ * @static
+ * @property PROPERTIES
+ * @type Array
+ */
+DamageFormula.PROPERTIES = [
+    'hp', 'mp', 'tp', 'mhp', 'mmp', 'atk', 'def', 'mat', 'mdf', 'agi', 'luk',
+    'hit', 'eva', 'cri', 'cev', 'mev', 'mrf', 'cnt', 'hrg', 'mrg', 'trg',
+    'tgr', 'grd', 'rec', 'pha', 'mcr', 'tcr', 'pdr', 'mdr', 'fdr', 'exr',
+    'level'
+];
+
+/**
+ * The battler methods that can be called from a formula.
+ *
+ * @static
+ * @property METHODS
+ * @type Array
+ */
+DamageFormula.METHODS = [
+    'isActor', 'isEnemy', 'isStateAffected', 'isBuffAffected',
+    'isDebuffAffected', 'hpRate', 'mpRate', 'tpRate', 'paramBase'
+];
+
+/**
+ * The Math functions that can be called from a formula. Math.random and
+ * Math.randomInt draw from the random generator given to evaluate, if any.
+ *
+ * @static
+ * @property MATH_FUNCTIONS
+ * @type Array
+ */
+DamageFormula.MATH_FUNCTIONS = [
+    'abs', 'ceil', 'floor', 'round', 'max', 'min', 'pow', 'sqrt', 'random',
+    'randomInt'
+];
+
+DamageFormula._cache = {};
+
+/**
+ * Compiles a formula, reusing the result for the same text.
+ *
+ * @static
+ * @method compile
+ * @param {String} source The formula text
+ * @return {DamageFormula} The compiled formula
+ */
+DamageFormula.compile = function(source) {
+    if (!this._cache.hasOwnProperty(source)) {
+        this._cache[source] = new DamageFormula(source);
+    }
+    return this._cache[source];
+};
+
+DamageFormula.prototype.initialize = function(source) {
+    this._source = source;
+    this._error = null;
+    this._tokens = [];
+    this._pos = 0;
+    try {
+        this._tokenize();
+        this._root = this._parseExpression();
+        if (this._pos < this._tokens.length) {
+            this._fail('Unexpected "' + this._peek() + '"');
+        }
+    } catch (e) {
+        this._root = null;
+        this._error = e.message;
+    }
+    this._tokens = null;
+};
+
+/**
+ * The error message if the formula could not be parsed, otherwise null.
+ *
+ * @property error
+ * @type String
+ */
+Object.defineProperty(DamageFormula.prototype, 'error', {
+    get: function() {
+        return this._error;
+    },
+    configurable: true
+});
+
+/**
+ * Checks whether the formula was parsed successfully.
+ *
+ * @method isValid
+ * @return {Boolean} True if the formula is valid
+ */
+DamageFormula.prototype.isValid = function() {
+    return !!this._root;
+};
+
+/**
+ * Evaluates the formula.
+ *
+ * @method evaluate
+ * @param {Game_Battler} a The subject
+ * @param {Game_Battler} b The target
+ * @param {Array} v The values of the game variables
+ * @param {RandomGenerator} [random] The source of Math.random and Math.randomInt
+ * @return {Number} The result, or 0 if the formula is invalid
+ */
+DamageFormula.prototype.evaluate = function(a, b, v, random) {
+    if (this._root) {
+        return this._root({ a: a, b: b, v: v, r: random || Math });
+    }
+    return 0;
+};
+
+/**
+ * @method _tokenize
+ * @private
+ */
+DamageFormula.prototype._tokenize = function() {
+    var re = /\s*(\d+(?:\.\d+)?|\.\d+|[A-Za-z_$][\w$]*|===|!==|==|!=|<=|>=|&&|\|\||[-+*\/%!?:()\[\].,<>])/g;
+    var source = this._source;
+    var index = 0;
+    while (index < source.length) {
+        re.lastIndex = index;
+        var match = re.exec(source);
+        if (!match || match.index !== index) {
+            if (/^\s*$/.test(source.slice(index))) {
+                break;
+            }
+            this._fail('Invalid character at ' + (index + 1));
+        }
+        this._tokens.push(match[1]);
+        index = re.lastIndex;
+    }
+};
+
+/**
+ * @method _fail
+ * @param {String} message
+ * @private
+ */
+DamageFormula.prototype._fail = function(message) {
+    throw new Error(message + ' in "' + this._source + '"');
+};
+
+/**
+ * @method _peek
+ * @return {String}
+ * @private
+ */
+DamageFormula.prototype._peek = function() {
+    return this._tokens[this._pos];
+};
+
+/**
+ * @method _next
+ * @return {String}
+ * @private
+ */
+DamageFormula.prototype._next = function() {
+    if (this._pos >= this._tokens.length) {
+        this._fail('Unexpected end');
+    }
+    return this._tokens[this._pos++];
+};
+
+/**
+ * @method _accept
+ * @param {String} token
+ * @return {Boolean}
+ * @private
+ */
+DamageFormula.prototype._accept = function(token) {
+    if (this._peek() === token) {
+        this._pos++;
+        return true;
+    }
+    return false;
+};
+
+/**
+ * @method _expect
+ * @param {String} token
+ * @private
+ */
+DamageFormula.prototype._expect = function(token) {
+    var actual = this._next();
+    if (actual !== token) {
+        this._fail('Expected "' + token + '" but found "' + actual + '"');
+    }
+};
+
+/**
+ * @method _parseExpression
+ * @return {Function}
+ * @private
+ */
+DamageFormula.prototype._parseExpression = function() {
+    var condition = this._parseBinary(0);
+    if (this._accept('?')) {
+        var whenTrue = this._parseExpression();
+        this._expect(':');
+        var whenFalse = this._parseExpression();
+        return function(c) {
+            return condition(c) ? whenTrue(c) : whenFalse(c);
+        };
+    }
+    return condition;
+};
+
+DamageFormula._binaryLevels = [
+    ['||'],
+    ['&&'],
+    ['===', '!==', '==', '!='],
+    ['<', '<=', '>', '>='],
+    ['+', '-'],
+    ['*', '/', '%']
+];
+
+/**
+ * @method _parseBinary
+ * @param {Number} level
+ * @return {Function}
+ * @private
+ */
+DamageFormula.prototype._parseBinary = function(level) {
+    var operators = DamageFormula._binaryLevels[level];
+    if (!operators) {
+        return this._parseUnary();
+    }
+    var left = this._parseBinary(level + 1);
+    while (operators.contains(this._peek())) {
+        var operator = this._next();
+        var right = this._parseBinary(level + 1);
+        left = this._makeBinary(operator, left, right);
+    }
+    return left;
+};
+
+/**
+ * @method _makeBinary
+ * @param {String} operator
+ * @param {Function} left
+ * @param {Function} right
+ * @return {Function}
+ * @private
+ */
+DamageFormula.prototype._makeBinary = function(operator, left, right) {
+    switch (operator) {
+    case '||':  return function(c) { return left(c) || right(c); };
+    case '&&':  return function(c) { return left(c) && right(c); };
+    case '===':
+    case '==':  return function(c) { return left(c) === right(c); };
+    case '!==':
+    case '!=':  return function(c) { return left(c) !== right(c); };
+    case '<':   return function(c) { return left(c) < right(c); };
+    case '<=':  return function(c) { return left(c) <= right(c); };
+    case '>':   return function(c) { return left(c) > right(c); };
+    case '>=':  return function(c) { return left(c) >= right(c); };
+    case '+':   return function(c) { return left(c) + right(c); };
+    case '-':   return function(c) { return left(c) - right(c); };
+    case '*':   return function(c) { return left(c) * right(c); };
+    case '/':   return function(c) { return left(c) / right(c); };
+    default:    return function(c) { return left(c) % right(c); };
+    }
+};
+
+/**
+ * @method _parseUnary
+ * @return {Function}
+ * @private
+ */
+DamageFormula.prototype._parseUnary = function() {
+    var operand;
+    if (this._accept('-')) {
+        operand = this._parseUnary();
+        return function(c) { return -operand(c); };
+    } else if (this._accept('+')) {
+        operand = this._parseUnary();
+        return function(c) { return +operand(c); };
+    } else if (this._accept('!')) {
+        operand = this._parseUnary();
+        return function(c) { return !operand(c); };
+    }
+    return this._parsePrimary();
+};
+
+/**
+ * @method _parsePrimary
+ * @return {Function}
+ * @private
+ */
+DamageFormula.prototype._parsePrimary = function() {
+    var token = this._next();
+    if (/^[\d.]/.test(token)) {
+        var number = Number(token);
+        return function() { return number; };
+    } else if (token === '(') {
+        var inner = this._parseExpression();
+        this._expect(')');
+        return inner;
+    } else if (token === 'true' || token === 'false') {
+        var bool = token === 'true';
+        return function() { return bool; };
+    } else if (token === 'a' || token === 'b') {
+        return this._parseBattler(token);
+    } else if (token === 'v') {
+        return this._parseVariable();
+    } else if (token === 'Math') {
+        return this._parseMath();
+    }
+    this._fail('Unknown name "' + token + '"');
+};
+
+/**
+ * @method _parseBattler
+ * @param {String} name
+ * @return {Function}
+ * @private
+ */
+DamageFormula.prototype._parseBattler = function(name) {
+    this._expect('.');
+    var member = this._next();
+    if (DamageFormula.PROPERTIES.contains(member)) {
+        return function(c) { return c[name][member]; };
+    } else if (DamageFormula.METHODS.contains(member)) {
+        var args = this._parseArguments();
+        return function(c) {
+            var battler = c[name];
+            return battler[member].apply(battler, args.map(function(arg) {
+                return arg(c);
+            }));
+        };
+    }
+    this._fail('Unknown battler member "' + member + '"');
+};
+
+/**
+ * @method _parseVariable
+ * @return {Function}
+ * @private
+ */
+DamageFormula.prototype._parseVariable = function() {
+    this._expect('[');
+    var index = this._parseExpression();
+    this._expect(']');
+    return function(c) { return c.v[index(c)] || 0; };
+};
+
+/**
+ * @method _parseMath
+ * @return {Function}
+ * @private
+ */
+DamageFormula.prototype._parseMath = function() {
+    this._expect('.');
+    var name = this._next();
+    if (name === 'PI') {
+        return function() { return Math.PI; };
+    } else if (DamageFormula.MATH_FUNCTIONS.contains(name)) {
+        var args = this._parseArguments();
+        var isRandom = name === 'random' || name === 'randomInt';
+        return function(c) {
+            var target = isRandom ? c.r : Math;
+            return target[name].apply(target, args.map(function(arg) {
+                return arg(c);
+            }));
+        };
+    }
+    this._fail('Unknown function "Math.' + name + '"');
+};
+
+/**
+ * @method _parseArguments
+ * @return {Array}
+ * @private
+ */
+DamageFormula.prototype._parseArguments = function() {
+    var args = [];
+    this._expect('(');
+    if (!this._accept(')')) {
+        do {
+            args.push(this._parseExpression());
+        } while (this._accept(','));
+        this._expect(')');
+    }
+    return args;
+};
\ No newline at end of file
@@ -0,0 +1,152 @@
+//-----------------------------------------------------------------------------
+/**
+ * The storage backend using IndexedDB, which is not bound by the size limit
+ * of localStorage.
+ *
+ * IndexedDB is asynchronous, so the whole store is read into memory by setup
+ * and writes are sent to the database in the background. isSaving is true
+ * until every write has been committed, and a write that fails is rolled back
+ * in memory and reported by lastError.
+ *
+ * @class IndexedDBBackend
+ * @constructor
+ * @param {String} [databaseName] The name of the database
+ */
+function IndexedDBBackend() {
+    this.initialize.apply(this, arguments);
+}
+
+IndexedDBBackend.prototype = Object.create(StorageBackend.prototype);
+IndexedDBBackend.prototype.constructor = IndexedDBBackend;
+
+IndexedDBBackend.STORE_NAME = 'saves';
+
+IndexedDBBackend.prototype.initialize = function(databaseName) {
+    StorageBackend.prototype.initialize.call(this);
+    this._databaseName = databaseName || 'RPG Maker MV';
+    this._database = null;
+    this._cache = {};
+    this._ready = false;
+    this._error = null;
+    this._pendingCount = 0;
+    this._lastError = null;
+};
+
+IndexedDBBackend.prototype.setup = function() {
+    var request = indexedDB.open(this._databaseName, 1);
+    request.onupgradeneeded = function() {
+        request.result.createObjectStore(IndexedDBBackend.STORE_NAME);
+    };
+    request.onsuccess = function() {
+        this._database = request.result;
+        this._loadAll();
+    }.bind(this);
+    request.onerror = this._onError.bind(this);
+};
+
+IndexedDBBackend.prototype.isReady = function() {
+    if (this._error) {
+        throw new Error('Failed to open IndexedDB: ' + this._error);
+    }
+    return this._ready;
+};
+
+IndexedDBBackend.prototype.isSaving = function() {
+    return this._pendingCount > 0;
+};
+
+IndexedDBBackend.prototype.lastError = function() {
+    return this._lastError;
+};
+
+IndexedDBBackend.prototype.read = function(key) {
+    return this.has(key) ? this._cache[key] : null;
+};
+
+IndexedDBBackend.prototype.write = function(key, data) {
+    this._update(key, data).put(data, key);
+};
+
+IndexedDBBackend.prototype.has = function(key) {
+    return this._cache.hasOwnProperty(key);
+};
+
+IndexedDBBackend.prototype.erase = function(key) {
+    this._update(key, null).delete(key);
+};
+
+/**
+ * Changes an entry in the cache and opens the transaction that commits the
+ * change. If the transaction is aborted, the entry is put back unless a later
+ * write has replaced it.
+ *
+ * @method _update
+ * @param {String} key The storage key
+ * @param {String} data The new data, or null to remove the entry
+ * @return {IDBObjectStore}
+ * @private
+ */
+IndexedDBBackend.prototype._update = function(key, data) {
+    var storeName = IndexedDBBackend.STORE_NAME;
+    var transaction = this._database.transaction(storeName, 'readwrite');
+    var previous = this.read(key);
+    if (this._pendingCount === 0) {
+        this._lastError = null;
+    }
+    this._pendingCount++;
+    this._setCache(key, data);
+    transaction.oncomplete = function() {
+        this._pendingCount--;
+    }.bind(this);
+    transaction.onabort = function() {
+        this._pendingCount--;
+        this._lastError = transaction.error || new Error('Transaction aborted');
+        if (this.read(key) === data) {
+            this._setCache(key, previous);
+        }
+    }.bind(this);
+    return transaction.objectStore(storeName);
+};
+
+/**
+ * @method _setCache
+ * @param {String} key The storage key
+ * @param {String} data The data, or null to remove the entry
+ * @private
+ */
+IndexedDBBackend.prototype._setCache = function(key, data) {
+    if (data === null) {
+        delete this._cache[key];
+    } else {
+        this._cache[key] = data;
+    }
+};
+
+/**
+ * @method _loadAll
+ * @private
+ */
+IndexedDBBackend.prototype._loadAll = function() {
+    var storeName = IndexedDBBackend.STORE_NAME;
+    var transaction = this._database.transaction(storeName, 'readonly');
+    var request = transaction.objectStore(storeName).openCursor();
+    request.onsuccess = function() {
+        var cursor = request.result;
+        if (cursor) {
+            this._cache[cursor.key] = cursor.value;
+            cursor.continue();
+        } else {
+            this._ready = true;
+        }
+    }.bind(this);
+    request.onerror = this._onError.bind(this);
+};
+
+/**
+ * @method _onError
+ * @param {Event} event
+ * @private
+ */
+IndexedDBBackend.prototype._onError = function(event) {
+    this._error = event.target.error ? event.target.error.name : 'unknown error';
+};
\ No newline at end of file
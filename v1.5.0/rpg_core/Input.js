@@ -38,6 +38,15 @@ Input.keyRepeatWait = 24;
  */
 Input.keyRepeatInterval = 6;
 
+/**
+ * The analog stick value below which the stick is treated as neutral.
+ *
+ * @static
+ * @property stickDeadZone
+ * @type Number
+ */
+Input.stickDeadZone = 0.2;
+
 /**
  * A hash table to convert from a virtual key code to a mapped key name.
  *
@@ -69,6 +78,8 @@ Input.keyMapper = {
     100: 'left',    // numpad 4
     102: 'right',   // numpad 6
     104: 'up',      // numpad 8
+    117: 'quicksave', // F6
+    118: 'quickload', // F7
     120: 'debug'    // F9
 };
 
@@ -106,6 +117,10 @@ Input.clear = function() {
     this._pressedTime = 0;
     this._dir4 = 0;
     this._dir8 = 0;
+    this._stickX = 0;
+    this._stickY = 0;
+    this._axisX = 0;
+    this._axisY = 0;
     this._preferredAxis = '';
     this._date = 0;
 };
@@ -230,6 +245,36 @@ Object.defineProperty(Input, 'dir8', {
     configurable: true
 });
 
+/**
+ * [read-only] The horizontal movement from -1 (left) to 1 (right), taken from
+ * the analog stick if it is tilted and from the direction keys otherwise.
+ *
+ * @static
+ * @property axisX
+ * @type Number
+ */
+Object.defineProperty(Input, 'axisX', {
+    get: function() {
+        return this._axisX;
+    },
+    configurable: true
+});
+
+/**
+ * [read-only] The vertical movement from -1 (up) to 1 (down), taken from
+ * the analog stick if it is tilted and from the direction keys otherwise.
+ *
+ * @static
+ * @property axisY
+ * @type Number
+ */
+Object.defineProperty(Input, 'axisY', {
+    get: function() {
+        return this._axisY;
+    },
+    configurable: true
+});
+
 /**
  * [read-only] The time of the last input in milliseconds.
  *
@@ -345,6 +390,8 @@ Input._onLostFocus = function() {
  * @private
  */
 Input._pollGamepads = function() {
+    this._stickX = 0;
+    this._stickY = 0;
     if (navigator.getGamepads) {
         var gamepads = navigator.getGamepads();
         if (gamepads) {
@@ -397,6 +444,24 @@ Input._updateGamepadState = function(gamepad) {
         }
     }
     this._gamepadStates[gamepad.index] = newState;
+    this._updateStick(axes[0] || 0, axes[1] || 0);
+};
+
+/**
+ * @static
+ * @method _updateStick
+ * @param {Number} x
+ * @param {Number} y
+ * @private
+ */
+Input._updateStick = function(x, y) {
+    var length = Math.sqrt(x * x + y * y);
+    var current = Math.sqrt(this._stickX * this._stickX + this._stickY * this._stickY);
+    if (length > this.stickDeadZone && length > current) {
+        var scale = Math.min(length, 1) / length;
+        this._stickX = x * scale;
+        this._stickY = y * scale;
+    }
 };
 
 /**
@@ -423,6 +488,25 @@ Input._updateDirection = function() {
     }
 
     this._dir4 = this._makeNumpadDirection(x, y);
+    this._updateAxes();
+};
+
+/**
+ * @static
+ * @method _updateAxes
+ * @private
+ */
+Input._updateAxes = function() {
+    if (this._stickX !== 0 || this._stickY !== 0) {
+        this._axisX = this._stickX;
+        this._axisY = this._stickY;
+    } else {
+        var x = this._signX();
+        var y = this._signY();
+        var scale = x !== 0 && y !== 0 ? Math.SQRT1_2 : 1;
+        this._axisX = x * scale;
+        this._axisY = y * scale;
+    }
 };
 
 /**
@@ -0,0 +1,68 @@
+//-----------------------------------------------------------------------------
+/**
+ * The storage backend using the file system of NW.js.
+ *
+ * @class LocalFileBackend
+ * @constructor
+ * @param {String} [directoryPath] The save directory, defaults to
+ *                                 StorageManager.localFileDirectoryPath()
+ */
+function LocalFileBackend() {
+    this.initialize.apply(this, arguments);
+}
+
+LocalFileBackend.prototype = Object.create(StorageBackend.prototype);
+LocalFileBackend.prototype.constructor = LocalFileBackend;
+
+LocalFileBackend.prototype.initialize = function(directoryPath) {
+    StorageBackend.prototype.initialize.call(this);
+    this._directoryPath = directoryPath || null;
+};
+
+/**
+ * Returns the directory where the save files are written.
+ *
+ * @method directoryPath
+ * @return {String} The directory path
+ */
+LocalFileBackend.prototype.directoryPath = function() {
+    return this._directoryPath || StorageManager.localFileDirectoryPath();
+};
+
+LocalFileBackend.prototype.key = function(savefileId) {
+    var path = require('path');
+    return path.join(this.directoryPath(), StorageManager.localFileName(savefileId));
+};
+
+LocalFileBackend.prototype.backupKey = function(savefileId) {
+    return this.key(savefileId) + '.bak';
+};
+
+LocalFileBackend.prototype.read = function(key) {
+    var fs = require('fs');
+    if (fs.existsSync(key)) {
+        return fs.readFileSync(key, { encoding: 'utf8' });
+    }
+    return null;
+};
+
+LocalFileBackend.prototype.write = function(key, data) {
+    var fs = require('fs');
+    var dirPath = this.directoryPath();
+    if (!fs.existsSync(dirPath)) {
+        fs.mkdirSync(dirPath);
+    }
+    fs.writeFileSync(key, data);
+};
+
+LocalFileBackend.prototype.has = function(key) {
+    var fs = require('fs');
+    return fs.existsSync(key);
+};
+
+LocalFileBackend.prototype.erase = function(key) {
+    var fs = require('fs');
+    if (fs.existsSync(key)) {
+        fs.unlinkSync(key);
+    }
+};
\ No newline at end of file
@@ -0,0 +1,44 @@
+//-----------------------------------------------------------------------------
+/**
+ * The storage backend that keeps everything in memory. Nothing survives a
+ * reload, which makes it suitable for tests.
+ *
+ * @class MemoryStorageBackend
+ * @constructor
+ */
+function MemoryStorageBackend() {
+    this.initialize.apply(this, arguments);
+}
+
+MemoryStorageBackend.prototype = Object.create(StorageBackend.prototype);
+MemoryStorageBackend.prototype.constructor = MemoryStorageBackend;
+
+MemoryStorageBackend.prototype.initialize = function() {
+    StorageBackend.prototype.initialize.call(this);
+    this.clear();
+};
+
+/**
+ * Removes all the stored data.
+ *
+ * @method clear
+ */
+MemoryStorageBackend.prototype.clear = function() {
+    this._data = {};
+};
+
+MemoryStorageBackend.prototype.read = function(key) {
+    return this.has(key) ? this._data[key] : null;
+};
+
+MemoryStorageBackend.prototype.write = function(key, data) {
+    this._data[key] = data;
+};
+
+MemoryStorageBackend.prototype.has = function(key) {
+    return this._data.hasOwnProperty(key);
+};
+
+MemoryStorageBackend.prototype.erase = function(key) {
+    delete this._data[key];
+};
\ No newline at end of file
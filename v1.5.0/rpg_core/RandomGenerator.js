@@ -0,0 +1,63 @@
+//-----------------------------------------------------------------------------
+/**
+ * A seedable pseudo-random number generator.
+ *
+ * The whole state is a single 32-bit integer, so the generator can be saved
+ * and restored to repeat the same sequence of numbers.
+ *
+ * @class RandomGenerator
+ * @constructor
+ * @param {Number} seed The initial seed
+ */
+function RandomGenerator() {
+    this.initialize.apply(this, arguments);
+}
+
+RandomGenerator.prototype.initialize = function(seed) {
+    this.setState(seed);
+};
+
+/**
+ * The current state of the generator.
+ *
+ * @method state
+ * @return {Number} The state as an unsigned 32-bit integer
+ */
+RandomGenerator.prototype.state = function() {
+    return this._state;
+};
+
+/**
+ * Restores the state of the generator.
+ *
+ * @method setState
+ * @param {Number} state The state to restore
+ */
+RandomGenerator.prototype.setState = function(state) {
+    this._state = (Number(state) || 0) >>> 0;
+};
+
+/**
+ * Generates a random number like Math.random.
+ *
+ * @method random
+ * @return {Number} A random number in the range [0, 1)
+ */
+RandomGenerator.prototype.random = function() {
+    this._state = (this._state + 0x6d2b79f5) >>> 0;
+    var t = this._state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+
+/**
+ * Generates a random integer like Math.randomInt.
+ *
+ * @method randomInt
+ * @param {Number} max The upper boundary (excluded)
+ * @return {Number} A random integer
+ */
+RandomGenerator.prototype.randomInt = function(max) {
+    return Math.floor(max * this.random());
+};
\ No newline at end of file
@@ -0,0 +1,218 @@
+//-----------------------------------------------------------------------------
+/**
+ * The superclass of the storage backends used by StorageManager.
+ *
+ * A backend stores already-compressed save data as strings. Subclasses only
+ * need to implement read, write, has and erase; slot naming and backups are
+ * handled here.
+ *
+ * @class StorageBackend
+ * @constructor
+ */
+function StorageBackend() {
+    this.initialize.apply(this, arguments);
+}
+
+StorageBackend.prototype.initialize = function() {
+};
+
+/**
+ * Starts any asynchronous preparation required before the first access.
+ *
+ * @method setup
+ */
+StorageBackend.prototype.setup = function() {
+};
+
+/**
+ * Checks whether the backend can be accessed.
+ *
+ * @method isReady
+ * @return {Boolean} True if the backend is ready
+ */
+StorageBackend.prototype.isReady = function() {
+    return true;
+};
+
+/**
+ * Checks whether writes are still being committed to the storage.
+ *
+ * @method isSaving
+ * @return {Boolean} True if a write has not completed yet
+ */
+StorageBackend.prototype.isSaving = function() {
+    return false;
+};
+
+/**
+ * Returns the error of the last write that failed to be committed.
+ *
+ * @method lastError
+ * @return {Error} The error, or null if the writes succeeded
+ */
+StorageBackend.prototype.lastError = function() {
+    return null;
+};
+
+/**
+ * Returns the storage key of a save file.
+ *
+ * @method key
+ * @param {Number} savefileId The save file ID (-1 for config, 0 for global)
+ * @return {String} The storage key
+ */
+StorageBackend.prototype.key = function(savefileId) {
+    return StorageManager.webStorageKey(savefileId);
+};
+
+/**
+ * Returns the storage key of the backup of a save file.
+ *
+ * @method backupKey
+ * @param {Number} savefileId The save file ID
+ * @return {String} The storage key of the backup
+ */
+StorageBackend.prototype.backupKey = function(savefileId) {
+    return this.key(savefileId) + 'bak';
+};
+
+/**
+ * Saves the data to a save file.
+ *
+ * @method save
+ * @param {Number} savefileId The save file ID
+ * @param {String} data The compressed data
+ */
+StorageBackend.prototype.save = function(savefileId, data) {
+    this.write(this.key(savefileId), data);
+};
+
+/**
+ * Loads the data of a save file.
+ *
+ * @method load
+ * @param {Number} savefileId The save file ID
+ * @return {String} The compressed data, or null if it does not exist
+ */
+StorageBackend.prototype.load = function(savefileId) {
+    return this.read(this.key(savefileId));
+};
+
+/**
+ * Checks whether a save file exists.
+ *
+ * @method exists
+ * @param {Number} savefileId The save file ID
+ * @return {Boolean} True if the save file exists
+ */
+StorageBackend.prototype.exists = function(savefileId) {
+    return this.has(this.key(savefileId));
+};
+
+/**
+ * Removes a save file.
+ *
+ * @method remove
+ * @param {Number} savefileId The save file ID
+ */
+StorageBackend.prototype.remove = function(savefileId) {
+    if (this.exists(savefileId)) {
+        this.erase(this.key(savefileId));
+    }
+};
+
+/**
+ * Copies a save file to its backup.
+ *
+ * @method backup
+ * @param {Number} savefileId The save file ID
+ */
+StorageBackend.prototype.backup = function(savefileId) {
+    if (this.exists(savefileId)) {
+        this.write(this.backupKey(savefileId), this.load(savefileId));
+    }
+};
+
+/**
+ * Checks whether the backup of a save file exists.
+ *
+ * @method backupExists
+ * @param {Number} savefileId The save file ID
+ * @return {Boolean} True if the backup exists
+ */
+StorageBackend.prototype.backupExists = function(savefileId) {
+    return this.has(this.backupKey(savefileId));
+};
+
+/**
+ * Loads the data of the backup of a save file.
+ *
+ * @method loadBackup
+ * @param {Number} savefileId The save file ID
+ * @return {String} The compressed data, or null if it does not exist
+ */
+StorageBackend.prototype.loadBackup = function(savefileId) {
+    return this.read(this.backupKey(savefileId));
+};
+
+/**
+ * Removes the backup of a save file.
+ *
+ * @method cleanBackup
+ * @param {Number} savefileId The save file ID
+ */
+StorageBackend.prototype.cleanBackup = function(savefileId) {
+    if (this.backupExists(savefileId)) {
+        this.erase(this.backupKey(savefileId));
+    }
+};
+
+/**
+ * Replaces a save file with its backup and removes the backup.
+ *
+ * @method restoreBackup
+ * @param {Number} savefileId The save file ID
+ */
+StorageBackend.prototype.restoreBackup = function(savefileId) {
+    if (this.backupExists(savefileId)) {
+        this.write(this.key(savefileId), this.loadBackup(savefileId));
+        this.erase(this.backupKey(savefileId));
+    }
+};
+
+/**
+ * @method read
+ * @param {String} key
+ * @return {String}
+ * @private
+ */
+StorageBackend.prototype.read = function(key) {
+    return null;
+};
+
+/**
+ * @method write
+ * @param {String} key
+ * @param {String} data
+ * @private
+ */
+StorageBackend.prototype.write = function(key, data) {
+};
+
+/**
+ * @method has
+ * @param {String} key
+ * @return {Boolean}
+ * @private
+ */
+StorageBackend.prototype.has = function(key) {
+    return false;
+};
+
+/**
+ * @method erase
+ * @param {String} key
+ * @private
+ */
+StorageBackend.prototype.erase = function(key) {
+};
\ No newline at end of file
@@ -0,0 +1,33 @@
+//-----------------------------------------------------------------------------
+/**
+ * The storage backend using the localStorage of the browser.
+ *
+ * @class WebStorageBackend
+ * @constructor
+ */
+function WebStorageBackend() {
+    this.initialize.apply(this, arguments);
+}
+
+WebStorageBackend.prototype = Object.create(StorageBackend.prototype);
+WebStorageBackend.prototype.constructor = WebStorageBackend;
+
+WebStorageBackend.prototype.initialize = function() {
+    StorageBackend.prototype.initialize.call(this);
+};
+
+WebStorageBackend.prototype.read = function(key) {
+    return localStorage.getItem(key);
+};
+
+WebStorageBackend.prototype.write = function(key, data) {
+    localStorage.setItem(key, data);
+};
+
+WebStorageBackend.prototype.has = function(key) {
+    return !!localStorage.getItem(key);
+};
+
+WebStorageBackend.prototype.erase = function(key) {
+    localStorage.removeItem(key);
+};
\ No newline at end of file
@@ -7,6 +7,9 @@ function BattleManager() {
     throw new Error('This is a static class');
 }
 
+BattleManager._headless = false;
+BattleManager._eventListeners = [];
+
 BattleManager.setup = function(troopId, canEscape, canLose) {
     this.initMembers();
     this._canEscape = canEscape;
@@ -38,6 +41,27 @@ BattleManager.initMembers = function() {
     this._escapeRatio = 0;
     this._escaped = false;
     this._rewards = {};
+    this._inputting = false;
+    this._inputActors = [];
+    this._atbBaseAgility = 1;
+    this._atbTurnTime = 0;
+    this._combatLog = [];
+};
+
+BattleManager.isAtb = function() {
+    return $gameSystem.isAtb();
+};
+
+BattleManager.isCtb = function() {
+    return $gameSystem.isCtb();
+};
+
+BattleManager.isTimeBased = function() {
+    return this.isAtb() || this.isCtb();
+};
+
+BattleManager.isActiveAtb = function() {
+    return this.isAtb() && ConfigManager.atbActive;
 };
 
 BattleManager.isBattleTest = function() {
@@ -48,6 +72,117 @@ BattleManager.setBattleTest = function(battleTest) {
     this._battleTest = battleTest;
 };
 
+BattleManager.isHeadless = function() {
+    return this._headless;
+};
+
+BattleManager.setHeadless = function(headless) {
+    this._headless = headless;
+};
+
+// Listeners receive every combat event as a plain object with a type.
+BattleManager.addEventListener = function(listener) {
+    if (!this._eventListeners.contains(listener)) {
+        this._eventListeners.push(listener);
+    }
+};
+
+BattleManager.removeEventListener = function(listener) {
+    var index = this._eventListeners.indexOf(listener);
+    if (index >= 0) {
+        this._eventListeners.splice(index, 1);
+    }
+};
+
+BattleManager.emitEvent = function(type, data) {
+    var event = { type: type, turn: $gameTroop.turnCount() };
+    for (var key in data) {
+        event[key] = data[key];
+    }
+    this._combatLog.push(event);
+    this._eventListeners.forEach(function(listener) {
+        listener(event);
+    });
+};
+
+BattleManager.combatLog = function() {
+    return this._combatLog;
+};
+
+BattleManager.combatLogJson = function() {
+    return JSON.stringify(this._combatLog, null, 2);
+};
+
+BattleManager.battlerInfo = function(battler) {
+    return {
+        kind: battler.isActor() ? 'actor' : 'enemy',
+        id: battler.isActor() ? battler.actorId() : battler.enemyId(),
+        index: battler.index(),
+        name: battler.name()
+    };
+};
+
+BattleManager.itemInfo = function(item) {
+    if (!item) {
+        return null;
+    }
+    var kind = 'item';
+    if (DataManager.isSkill(item)) {
+        kind = 'skill';
+    } else if (DataManager.isWeapon(item)) {
+        kind = 'weapon';
+    } else if (DataManager.isArmor(item)) {
+        kind = 'armor';
+    }
+    return { kind: kind, id: item.id, name: item.name };
+};
+
+BattleManager.emitActionResult = function(subject, target, reaction) {
+    var result = target.result();
+    this.emitEvent('actionResult', {
+        subject: this.battlerInfo(subject),
+        target: this.battlerInfo(target),
+        reaction: reaction,
+        hit: result.isHit(),
+        missed: result.missed,
+        evaded: result.evaded,
+        critical: result.critical,
+        drain: result.drain,
+        hpDamage: result.hpDamage,
+        mpDamage: result.mpDamage,
+        tpDamage: result.tpDamage,
+        addedStates: result.addedStates.clone(),
+        removedStates: result.removedStates.clone(),
+        addedBuffs: result.addedBuffs.clone(),
+        addedDebuffs: result.addedDebuffs.clone(),
+        removedBuffs: result.removedBuffs.clone(),
+        hp: target.hp,
+        mp: target.mp,
+        tp: target.tp
+    });
+    if (result.isStateAdded(target.deathStateId())) {
+        this.emitEvent('death', { battler: this.battlerInfo(target) });
+    }
+};
+
+BattleManager.emitTurnEndResult = function(battler) {
+    var result = battler.result();
+    this.emitEvent('turnEnd', {
+        battler: this.battlerInfo(battler),
+        hpDamage: result.hpDamage,
+        mpDamage: result.mpDamage,
+        addedStates: result.addedStates.clone(),
+        removedStates: result.removedStates.clone(),
+        removedBuffs: result.removedBuffs.clone(),
+        hp: battler.hp,
+        mp: battler.mp,
+        tp: battler.tp
+    });
+    if (result.isStateAdded(battler.deathStateId())) {
+        this.emitEvent('death', { battler: this.battlerInfo(battler) });
+    }
+};
+
 BattleManager.setEventCallback = function(callback) {
     this._eventCallback = callback;
 };
@@ -65,8 +200,8 @@ BattleManager.setSpriteset = function(spriteset) {
 };
 
 BattleManager.onEncounter = function() {
-    this._preemptive = (Math.random() < this.ratePreemptive());
-    this._surprise = (Math.random() < this.rateSurprise() && !this._preemptive);
+    this._preemptive = ($gameRandom.random('encounter') < this.ratePreemptive());
+    this._surprise = ($gameRandom.random('encounter') < this.rateSurprise() && !this._preemptive);
 };
 
 BattleManager.ratePreemptive = function() {
@@ -88,14 +223,27 @@ BattleManager.playBattleBgm = function() {
 };
 
 BattleManager.playVictoryMe = function() {
-    AudioManager.playMe($gameSystem.victoryMe());
+    if (!this._headless) {
+        AudioManager.playMe($gameSystem.victoryMe());
+    }
 };
 
 BattleManager.playDefeatMe = function() {
-    AudioManager.playMe($gameSystem.defeatMe());
+    if (!this._headless) {
+        AudioManager.playMe($gameSystem.defeatMe());
+    }
+};
+
+BattleManager.playEscapeSe = function() {
+    if (!this._headless) {
+        SoundManager.playEscape();
+    }
 };
 
 BattleManager.replayBgmAndBgs = function() {
+    if (this._headless) {
+        return;
+    }
     if (this._mapBgm) {
         AudioManager.replayBgm(this._mapBgm);
     } else {
@@ -114,7 +262,11 @@ BattleManager.update = function() {
     if (!this.isBusy() && !this.updateEvent()) {
         switch (this._phase) {
         case 'start':
-            this.startInput();
+            if (this.isTimeBased()) {
+                this.startAtb();
+            } else {
+                this.startInput();
+            }
             break;
         case 'turn':
             this.updateTurn();
@@ -132,6 +284,20 @@ BattleManager.update = function() {
     }
 };
 
+BattleManager.updateActiveTime = function() {
+    if (!this.isBusy()) {
+        switch (this._phase) {
+        case 'turn':
+            this.updateTurn();
+            break;
+        case 'action':
+            this.updateAction();
+            break;
+        }
+    }
+    this.checkAtbInput();
+};
+
 BattleManager.updateEvent = function() {
     switch (this._phase) {
         case 'start':
@@ -166,7 +332,7 @@ BattleManager.isBusy = function() {
 };
 
 BattleManager.isInputting = function() {
-    return this._phase === 'input';
+    return this._phase === 'input' || this._inputting;
 };
 
 BattleManager.isInTurn = function() {
@@ -223,6 +389,13 @@ BattleManager.startBattle = function() {
     $gameParty.onBattleStart();
     $gameTroop.onBattleStart();
     this.displayStartMessages();
+    this.emitEvent('battleStart', {
+        troopId: $gameTroop.troop().id,
+        preemptive: this._preemptive,
+        surprise: this._surprise,
+        actors: $gameParty.members().map(this.battlerInfo, this),
+        enemies: $gameTroop.members().map(this.battlerInfo, this)
+    });
 };
 
 BattleManager.displayStartMessages = function() {
@@ -251,6 +424,10 @@ BattleManager.inputtingAction = function() {
 };
 
 BattleManager.selectNextCommand = function() {
+    if (this.isTimeBased()) {
+        this.selectNextAtbCommand();
+        return;
+    }
     do {
         if (!this.actor() || !this.actor().selectNextCommand()) {
             this.changeActor(this._actorIndex + 1, 'waiting');
@@ -263,6 +440,10 @@ BattleManager.selectNextCommand = function() {
 };
 
 BattleManager.selectPreviousCommand = function() {
+    if (this.isTimeBased()) {
+        this.selectPreviousAtbCommand();
+        return;
+    }
     do {
         if (!this.actor() || !this.actor().selectPreviousCommand()) {
             this.changeActor(this._actorIndex - 1, 'undecided');
@@ -273,6 +454,25 @@ BattleManager.selectPreviousCommand = function() {
     } while (!this.actor().canInput());
 };
 
+BattleManager.selectNextAtbCommand = function() {
+    var actor = this.actor();
+    if (!actor) {
+        this.startAtbInput();
+    } else if (!actor.selectNextCommand()) {
+        this._actionBattlers.push(actor);
+        this.changeActor(-1, 'waiting');
+        this.startAtbInput();
+    }
+};
+
+BattleManager.selectPreviousAtbCommand = function() {
+    var actor = this.actor();
+    if (actor && !actor.selectPreviousCommand()) {
+        this._inputActors.unshift(actor);
+        this.changeActor(-1, 'undecided');
+    }
+};
+
 BattleManager.refreshStatus = function() {
     this._statusWindow.refresh();
 };
@@ -284,15 +484,21 @@ BattleManager.startTurn = function() {
     this.makeActionOrders();
     $gameParty.requestMotionRefresh();
     this._logWindow.startTurn();
+    this.emitEvent('turnStart', {});
 };
 
 BattleManager.updateTurn = function() {
     $gameParty.requestMotionRefresh();
+    if (this.isTimeBased() && !this._inputting) {
+        this.startAtbInput();
+    }
     if (!this._subject) {
         this._subject = this.getNextSubject();
     }
     if (this._subject) {
         this.processTurn();
+    } else if (this.isTimeBased()) {
+        this.updateAtb();
     } else {
         this.endTurn();
     }
@@ -313,6 +519,9 @@ BattleManager.processTurn = function() {
         this._logWindow.displayAutoAffectedStatus(subject);
         this._logWindow.displayCurrentState(subject);
         this._logWindow.displayRegeneration(subject);
+        if (this.isTimeBased()) {
+            this.endAtbTurn(subject);
+        }
         this._subject = this.getNextSubject();
     }
 };
@@ -326,11 +535,19 @@ BattleManager.endTurn = function() {
         this.refreshStatus();
         this._logWindow.displayAutoAffectedStatus(battler);
         this._logWindow.displayRegeneration(battler);
+        this.emitTurnEndResult(battler);
     }, this);
 };
 
 BattleManager.updateTurnEnd = function() {
-    this.startInput();
+    if (this.isTimeBased()) {
+        this._phase = 'turn';
+        this._preemptive = false;
+        this._surprise = false;
+        $gameTroop.increaseTurn();
+    } else {
+        this.startInput();
+    }
 };
 
 BattleManager.getNextSubject = function() {
@@ -340,6 +557,9 @@ BattleManager.getNextSubject = function() {
             return null;
         }
         if (battler.isBattleMember() && battler.isAlive()) {
+            if (this.isTimeBased()) {
+                battler.makeAtbRecovery();
+            }
             return battler;
         }
     }
@@ -366,6 +586,208 @@ BattleManager.makeActionOrders = function() {
     this._actionBattlers = battlers;
 };
 
+BattleManager.startAtb = function() {
+    this._phase = 'turn';
+    this._actionBattlers = [];
+    this._inputActors = [];
+    this._atbTurnTime = 0;
+    this._atbBaseAgility = this.makeAtbBaseAgility();
+    this.clearActor();
+    $gameTroop.increaseTurn();
+    $gameParty.members().forEach(function(actor) {
+        actor.initAtbGauge(this._preemptive, this._surprise);
+    }, this);
+    $gameTroop.members().forEach(function(enemy) {
+        enemy.initAtbGauge(this._surprise, this._preemptive);
+    }, this);
+    this.allBattleMembers().forEach(function(battler) {
+        if (battler.isAlive() && battler.isAtbCharged()) {
+            this.onAtbCharged(battler);
+        }
+    }, this);
+};
+
+BattleManager.makeAtbBaseAgility = function() {
+    var battlers = this.allBattleMembers().filter(function(battler) {
+        return battler.isAlive();
+    });
+    var sum = battlers.reduce(function(r, battler) {
+        return r + battler.agi;
+    }, 0);
+    return Math.max(sum / Math.max(battlers.length, 1), 1);
+};
+
+BattleManager.atbBaseAgility = function() {
+    return this._atbBaseAgility;
+};
+
+BattleManager.atbTurnFrames = function() {
+    return 120;
+};
+
+BattleManager.updateAtb = function() {
+    if (this._inputting && !this.isActiveAtb()) {
+        return;
+    }
+    var frames = this.isCtb() ? this.ctbFramesToNextTurn() : 1;
+    this.allBattleMembers().forEach(function(battler) {
+        if (!battler.isAlive()) {
+            this.removeAtbBattler(battler);
+        } else if (!battler.isAtbCharged()) {
+            battler.updateAtbGauge(frames);
+            if (battler.isAtbCharged()) {
+                this.onAtbCharged(battler);
+            }
+        }
+    }, this);
+    this.updateAtbTurnTime(frames);
+};
+
+BattleManager.ctbFramesToNextTurn = function() {
+    return this.allBattleMembers().reduce(function(r, battler) {
+        if (battler.isAlive() && !battler.isAtbCharged()) {
+            return Math.min(r, battler.atbChargeFrames());
+        }
+        return r;
+    }, this.atbTurnFrames());
+};
+
+BattleManager.updateAtbTurnTime = function(frames) {
+    this._atbTurnTime += frames;
+    if (this._atbTurnTime >= this.atbTurnFrames()) {
+        this._atbTurnTime -= this.atbTurnFrames();
+        this._phase = 'turnEnd';
+    }
+};
+
+BattleManager.onAtbCharged = function(battler) {
+    battler.makeActions();
+    if (battler.isActor() && battler.canInput()) {
+        this._inputActors.push(battler);
+    } else {
+        this._actionBattlers.push(battler);
+    }
+};
+
+BattleManager.removeAtbBattler = function(battler) {
+    battler.clearAtbGauge();
+    [this._actionBattlers, this._inputActors].forEach(function(battlers) {
+        var index = battlers.indexOf(battler);
+        if (index >= 0) {
+            battlers.splice(index, 1);
+        }
+    });
+};
+
+BattleManager.startAtbInput = function() {
+    var actor = this.nextInputActor();
+    if (actor) {
+        this._inputting = true;
+        this.changeActor(actor.index(), 'undecided');
+    } else {
+        this._inputting = false;
+    }
+};
+
+BattleManager.nextInputActor = function() {
+    while (this._inputActors.length > 0) {
+        var actor = this._inputActors.shift();
+        if (actor.canInput()) {
+            return actor;
+        } else if (actor.isAlive()) {
+            this.onAtbCharged(actor);
+        }
+    }
+    return null;
+};
+
+BattleManager.checkAtbInput = function() {
+    if (this._inputting) {
+        var actor = this.actor();
+        if ($gameParty.isAllDead() || $gameTroop.isAllDead()) {
+            this.cancelAtbInput();
+        } else if (actor && !actor.canInput()) {
+            this.cancelAtbInput();
+            if (actor.isAlive()) {
+                this.onAtbCharged(actor);
+            }
+        }
+    }
+};
+
+BattleManager.cancelAtbInput = function() {
+    var actor = this.actor();
+    if (actor) {
+        actor.clearActions();
+    }
+    this.changeActor(-1, 'undecided');
+    this._inputting = false;
+};
+
+BattleManager.endAtbTurn = function(battler) {
+    battler.onTurnEnd();
+    battler.resetAtbGauge();
+    this.refreshStatus();
+    this._logWindow.displayAutoAffectedStatus(battler);
+    this._logWindow.displayRegeneration(battler);
+    this.emitTurnEndResult(battler);
+};
+
+BattleManager.delayBattler = function(battler, rate) {
+    if (battler.isAlive() && battler !== this._subject &&
+            battler !== this.actor()) {
+        if (battler.isAtbCharged() && rate > 0) {
+            this.removeAtbBattler(battler);
+            battler.clearActions();
+            battler.setActionState('undecided');
+            battler.setAtbGauge(1 - rate);
+        } else if (!battler.isAtbCharged()) {
+            battler.setAtbGauge(battler.atbRate() - rate);
+            if (battler.isAtbCharged()) {
+                this.onAtbCharged(battler);
+            }
+        }
+    }
+};
+
+BattleManager.pendingBattlers = function() {
+    var battlers = [this._subject, this.actor()];
+    battlers = battlers.concat(this._actionBattlers, this._inputActors);
+    return battlers.filter(function(battler, index) {
+        return (battler && battler.isAlive() &&
+                battlers.indexOf(battler) === index);
+    });
+};
+
+BattleManager.predictActionOrder = function(count) {
+    var order = this.pendingBattlers();
+    var entries = this.allBattleMembers().filter(function(battler) {
+        return battler.isAlive();
+    }).map(function(battler) {
+        var time = battler.atbChargeFrames();
+        if (battler.isAtbCharged()) {
+            time = battler.atbChargeFrames(battler.nextAtbRecovery());
+        }
+        return { battler: battler, time: time };
+    });
+    while (order.length < count && entries.length > 0) {
+        var entry = entries.reduce(function(r, e) {
+            return e.time < r.time ? e : r;
+        });
+        order.push(entry.battler);
+        entry.time += entry.battler.atbChargeFrames(0);
+    }
+    return order.slice(0, count);
+};
+
+BattleManager.resetPartyAtb = function() {
+    this.clearActor();
+    this._inputting = false;
+    $gameParty.members().forEach(function(actor) {
+        this.removeAtbBattler(actor);
+    }, this);
+};
+
 BattleManager.startAction = function() {
     var subject = this._subject;
     var action = subject.currentAction();
@@ -377,6 +799,11 @@ BattleManager.startAction = function() {
     this._action.applyGlobal();
     this.refreshStatus();
     this._logWindow.startAction(subject, action, targets);
+    this.emitEvent('actionStart', {
+        subject: this.battlerInfo(subject),
+        item: this.itemInfo(action.item()),
+        targets: targets.map(this.battlerInfo, this)
+    });
 };
 
 BattleManager.updateAction = function() {
@@ -390,14 +817,15 @@ BattleManager.updateAction = function() {
 
 BattleManager.endAction = function() {
     this._logWindow.endAction(this._subject);
+    this.emitEvent('actionEnd', { subject: this.battlerInfo(this._subject) });
     this._phase = 'turn';
 };
 
 BattleManager.invokeAction = function(subject, target) {
     this._logWindow.push('pushBaseLine');
-    if (Math.random() < this._action.itemCnt(target)) {
+    if ($gameRandom.random('action') < this._action.itemCnt(target)) {
         this.invokeCounterAttack(subject, target);
-    } else if (Math.random() < this._action.itemMrf(target)) {
+    } else if ($gameRandom.random('action') < this._action.itemMrf(target)) {
         this.invokeMagicReflection(subject, target);
     } else {
         this.invokeNormalAction(subject, target);
@@ -411,6 +839,7 @@ BattleManager.invokeNormalAction = function(subject, target) {
     var realTarget = this.applySubstitute(target);
     this._action.apply(realTarget);
     this._logWindow.displayActionResults(subject, realTarget);
+    this.emitActionResult(subject, realTarget, null);
 };
 
 BattleManager.invokeCounterAttack = function(subject, target) {
@@ -419,6 +848,7 @@ BattleManager.invokeCounterAttack = function(subject, target) {
     action.apply(subject);
     this._logWindow.displayCounter(target);
     this._logWindow.displayActionResults(target, subject);
+    this.emitActionResult(target, subject, 'counter');
 };
 
 BattleManager.invokeMagicReflection = function(subject, target) {
@@ -426,6 +856,7 @@ BattleManager.invokeMagicReflection = function(subject, target) {
     this._logWindow.displayReflection(target);
     this._action.apply(subject);
     this._logWindow.displayActionResults(target, subject);
+    this.emitActionResult(target, subject, 'reflection');
 };
 
 BattleManager.applySubstitute = function(target) {
@@ -433,6 +864,10 @@ BattleManager.applySubstitute = function(target) {
         var substitute = target.friendsUnit().substituteBattler();
         if (substitute && target !== substitute) {
             this._logWindow.displaySubstitute(substitute, target);
+            this.emitEvent('substitute', {
+                substitute: this.battlerInfo(substitute),
+                target: this.battlerInfo(target)
+            });
             return substitute;
         }
     }
@@ -450,7 +885,7 @@ BattleManager.isActionForced = function() {
 BattleManager.forceAction = function(battler) {
     this._actionForcedBattler = battler;
     var index = this._actionBattlers.indexOf(battler);
-    if (index >= 0) {
+    if (index >= 0 && !this.isTimeBased()) {
         this._actionBattlers.splice(index, 1);
     }
 };
@@ -466,6 +901,7 @@ BattleManager.processForcedAction = function() {
 
 BattleManager.abort = function() {
     this._phase = 'aborting';
+    this._inputting = false;
 };
 
 BattleManager.checkBattleEnd = function() {
@@ -493,7 +929,7 @@ BattleManager.checkAbort = function() {
 
 BattleManager.checkAbort2 = function() {
     if ($gameParty.isEmpty() || this.isAborting()) {
-        SoundManager.playEscape();
+        this.playEscapeSe();
         this._escaped = true;
         this.processAbort();
     }
@@ -506,16 +942,19 @@ BattleManager.processVictory = function() {
     this.playVictoryMe();
     this.replayBgmAndBgs();
     this.makeRewards();
+    $gameTroop.recordDefeats();
     this.displayVictoryMessage();
     this.displayRewards();
     this.gainRewards();
+    $gameTemp.requestAutosave();
     this.endBattle(0);
 };
 
 BattleManager.processEscape = function() {
     $gameParty.performEscape();
-    SoundManager.playEscape();
-    var success = this._preemptive ? true : (Math.random() < this._escapeRatio);
+    this.playEscapeSe();
+    var success = this._preemptive ? true : ($gameRandom.random('escape') < this._escapeRatio);
+    this.emitEvent('escape', { success: success });
     if (success) {
         this.displayEscapeSuccessMessage();
         this._escaped = true;
@@ -524,7 +963,11 @@ BattleManager.processEscape = function() {
         this.displayEscapeFailureMessage();
         this._escapeRatio += 0.1;
         $gameParty.clearActions();
-        this.startTurn();
+        if (this.isTimeBased()) {
+            this.resetPartyAtb();
+        } else {
+            this.startTurn();
+        }
     }
     return success;
 };
@@ -548,6 +991,8 @@ BattleManager.processDefeat = function() {
 
 BattleManager.endBattle = function(result) {
     this._phase = 'battleEnd';
+    this._inputting = false;
+    this.emitEvent('battleEnd', { result: ['win', 'escape', 'lose'][result] });
     if (this._eventCallback) {
         this._eventCallback(result);
     }
@@ -580,6 +1025,11 @@ BattleManager.makeRewards = function() {
     this._rewards.gold = $gameTroop.goldTotal();
     this._rewards.exp = $gameTroop.expTotal();
     this._rewards.items = $gameTroop.makeDropItems();
+    this.emitEvent('rewards', {
+        exp: this._rewards.exp,
+        gold: this._rewards.gold,
+        items: this._rewards.items.map(this.itemInfo, this)
+    });
 };
 
 BattleManager.displayVictoryMessage = function() {
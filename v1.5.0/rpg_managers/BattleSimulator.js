@@ -0,0 +1,229 @@
+//-----------------------------------------------------------------------------
+// BattleSimulator
+//
+// The static class that runs battles without a scene for balance testing.
+// It works in the game as well as in Node, where the database can be read
+// with loadDatabase once the core, manager and object scripts are loaded into
+// a context that provides window and location. The game objects are created
+// on the first run if no game is in progress; tests/BattleSimulator.js shows
+// the setup.
+
+function BattleSimulator() {
+    throw new Error('This is a static class');
+}
+
+BattleSimulator.loadDatabase = function(directory) {
+    var fs = require('fs');
+    var path = require('path');
+    DataManager._databaseFiles.forEach(function(file) {
+        var json = fs.readFileSync(path.join(directory, file.src), 'utf8');
+        window[file.name] = JSON.parse(json);
+        if (file.name !== '$dataSystem') {
+            // System.json would also load the system images.
+            DataManager.onLoad(window[file.name]);
+        }
+    });
+};
+
+// options: runs, seed, actors (actor IDs or { actorId, level, equips }),
+// maxTurns, maxFrames, canEscape, and chooseActions(actor), which sets up the
+// actor's actions or returns 'escape'. Without it, actors act automatically.
+BattleSimulator.run = function(troopId, options) {
+    options = options || {};
+    var runs = options.runs || 1;
+    if (!$gameParty) {
+        DataManager.createGameObjects();
+    }
+    var snapshot = this.saveGameState();
+    var results = [];
+    try {
+        for (var i = 0; i < runs; i++) {
+            this.restoreGameState(snapshot);
+            if (options.seed !== undefined) {
+                $gameRandom = new Game_Random(options.seed + i);
+            } else {
+                $gameRandom = new Game_Random();
+            }
+            this.setupParty(options.actors || $dataSystem.testBattlers);
+            results.push(this.runBattle(troopId, options));
+        }
+    } finally {
+        this.restoreGameState(snapshot);
+    }
+    return this.makeStatistics(results);
+};
+
+BattleSimulator.saveGameState = function() {
+    return {
+        contents: JsonEx.stringify(DataManager.makeSaveContents()),
+        temp: $gameTemp,
+        message: $gameMessage,
+        troop: $gameTroop
+    };
+};
+
+BattleSimulator.restoreGameState = function(snapshot) {
+    DataManager.extractSaveContents(JsonEx.parse(snapshot.contents));
+    $gameTemp = snapshot.temp;
+    $gameMessage = snapshot.message;
+    $gameTroop = snapshot.troop;
+};
+
+BattleSimulator.setupParty = function(members) {
+    $gameParty.allMembers().forEach(function(actor) {
+        $gameParty.removeActor(actor.actorId());
+    });
+    members.forEach(function(member) {
+        if (typeof member === 'number') {
+            member = { actorId: member };
+        }
+        var actor = $gameActors.actor(member.actorId);
+        if (actor) {
+            if (member.level) {
+                actor.changeLevel(member.level, false);
+            }
+            if (member.equips) {
+                actor.initEquips(member.equips);
+            }
+            actor.recoverAll();
+            $gameParty.addActor(member.actorId);
+        }
+    });
+};
+
+BattleSimulator.runBattle = function(troopId, options) {
+    var record = this.makeRecord();
+    var maxTurns = options.maxTurns || 100;
+    var maxFrames = options.maxFrames || 100000;
+    $gameTroop = new Game_Troop();
+    $gameMessage = new Game_Message();
+    BattleManager.setup(troopId, options.canEscape !== false, true);
+    BattleManager.setHeadless(true);
+    BattleManager.setEventCallback(function(result) {
+        record.result = ['win', 'escape', 'lose'][result];
+    });
+    BattleManager.setLogWindow(this.makeLogWindow(record));
+    BattleManager.setStatusWindow({ refresh: function() {} });
+    BattleManager.setSpriteset({ isBusy: function() { return false; } });
+    try {
+        BattleManager.startBattle();
+        for (var i = 0; i < maxFrames && !BattleManager.isBattleEnd(); i++) {
+            if ($gameTroop.turnCount() > maxTurns) {
+                break;
+            }
+            $gameMessage.clear();
+            this.processInput(options);
+            BattleManager.update();
+        }
+    } finally {
+        BattleManager.setHeadless(false);
+    }
+    record.turns = $gameTroop.turnCount();
+    record.survivors = $gameParty.aliveMembers().length;
+    $gameParty.onBattleEnd();
+    $gameTroop.onBattleEnd();
+    $gameTemp.clearAutosaveRequest();
+    return record;
+};
+
+BattleSimulator.processInput = function(options) {
+    while (BattleManager.isInputting()) {
+        var actor = BattleManager.actor();
+        var action = actor && actor.inputtingAction();
+        if (action && !action.item()) {
+            if (this.decideActions(actor, options) === 'escape') {
+                BattleManager.processEscape();
+                return;
+            }
+        }
+        BattleManager.selectNextCommand();
+    }
+};
+
+BattleSimulator.decideActions = function(actor, options) {
+    if (options.chooseActions) {
+        return options.chooseActions(actor);
+    }
+    actor.makeAutoBattleActions();
+};
+
+BattleSimulator.makeRecord = function() {
+    return {
+        result: 'timeout',
+        turns: 0,
+        survivors: 0,
+        damageDealt: 0,
+        damageTaken: 0,
+        actions: 0,
+        hits: 0,
+        criticals: 0
+    };
+};
+
+BattleSimulator.makeLogWindow = function(record) {
+    var noop = function() {};
+    return {
+        isBusy: function() { return false; },
+        push: noop,
+        startTurn: noop,
+        startAction: function() { record.actions++; },
+        endAction: noop,
+        displayCounter: noop,
+        displayReflection: noop,
+        displaySubstitute: noop,
+        displayAutoAffectedStatus: noop,
+        displayCurrentState: noop,
+        displayRegeneration: noop,
+        displayActionResults: function(subject, target) {
+            BattleSimulator.recordResult(record, subject, target);
+        }
+    };
+};
+
+BattleSimulator.recordResult = function(record, subject, target) {
+    var result = target.result();
+    if (result.isHit()) {
+        record.hits++;
+        if (result.critical) {
+            record.criticals++;
+        }
+        var damage = Math.max(result.hpDamage, 0);
+        if (subject.isActor() && target.isEnemy()) {
+            record.damageDealt += damage;
+        } else if (subject.isEnemy() && target.isActor()) {
+            record.damageTaken += damage;
+        }
+    }
+};
+
+BattleSimulator.makeStatistics = function(results) {
+    var runs = results.length;
+    var count = function(result) {
+        return results.filter(function(record) {
+            return record.result === result;
+        }).length;
+    };
+    var average = function(key) {
+        return results.reduce(function(r, record) {
+            return r + record[key];
+        }, 0) / Math.max(runs, 1);
+    };
+    var turns = results.map(function(record) {
+        return record.turns;
+    });
+    return {
+        runs: runs,
+        wins: count('win'),
+        losses: count('lose'),
+        escapes: count('escape'),
+        timeouts: count('timeout'),
+        winRate: count('win') / Math.max(runs, 1),
+        averageTurns: average('turns'),
+        minTurns: runs > 0 ? Math.min.apply(null, turns) : 0,
+        maxTurns: runs > 0 ? Math.max.apply(null, turns) : 0,
+        averageDamageDealt: average('damageDealt'),
+        averageDamageTaken: average('damageTaken'),
+        averageSurvivors: average('survivors'),
+        results: results
+    };
+};
\ No newline at end of file
@@ -21,11 +21,16 @@ var $dataTilesets     = null;
 var $dataCommonEvents = null;
 var $dataSystem       = null;
 var $dataMapInfos     = null;
+var $dataQuests       = null;
+var $dataRecipes      = null;
 var $dataMap          = null;
 var $gameTemp         = null;
 var $gameSystem       = null;
 var $gameScreen       = null;
 var $gameTimer        = null;
+var $gameRandom       = null;
+var $gameQuests       = null;
+var $gameClock        = null;
 var $gameMessage      = null;
 var $gameSwitches     = null;
 var $gameVariables    = null;
@@ -40,6 +45,9 @@ var $testEvent        = null;
 DataManager._globalId       = 'RPGMV';
 DataManager._lastAccessedId = 1;
 DataManager._errorUrl       = null;
+DataManager._formulaErrors  = [];
+DataManager._saveVersion    = 1;
+DataManager._saveMigrations = [];
 
 DataManager._databaseFiles = [
     { name: '$dataActors',       src: 'Actors.json'       },
@@ -58,6 +66,13 @@ DataManager._databaseFiles = [
     { name: '$dataMapInfos',     src: 'MapInfos.json'     }
 ];
 
+// Files that a game may leave out. They are loaded as an empty array when
+// they do not exist.
+DataManager._optionalDatabaseFiles = [
+    { name: '$dataQuests',       src: 'Quests.json'       },
+    { name: '$dataRecipes',      src: 'Recipes.json'      }
+];
+
 DataManager.loadDatabase = function() {
     var test = this.isBattleTest() || this.isEventTest();
     var prefix = test ? 'Test_' : '';
@@ -66,12 +81,16 @@ DataManager.loadDatabase = function() {
         var src = this._databaseFiles[i].src;
         this.loadDataFile(name, prefix + src);
     }
+    for (var j = 0; j < this._optionalDatabaseFiles.length; j++) {
+        var file = this._optionalDatabaseFiles[j];
+        this.loadDataFile(file.name, prefix + file.src, true);
+    }
     if (this.isEventTest()) {
         this.loadDataFile('$testEvent', prefix + 'Event.json');
     }
 };
 
-DataManager.loadDataFile = function(name, src) {
+DataManager.loadDataFile = function(name, src, optional) {
     var xhr = new XMLHttpRequest();
     var url = 'data/' + src;
     xhr.open('GET', url);
@@ -80,10 +99,16 @@ DataManager.loadDataFile = function(name, src) {
         if (xhr.status < 400) {
             window[name] = JSON.parse(xhr.responseText);
             DataManager.onLoad(window[name]);
+        } else if (optional) {
+            window[name] = [];
         }
     };
     xhr.onerror = this._mapLoader || function() {
-        DataManager._errorUrl = DataManager._errorUrl || url;
+        if (optional) {
+            window[name] = [];
+        } else {
+            DataManager._errorUrl = DataManager._errorUrl || url;
+        }
     };
     window[name] = null;
     xhr.send();
@@ -91,8 +116,9 @@ DataManager.loadDataFile = function(name, src) {
 
 DataManager.isDatabaseLoaded = function() {
     this.checkError();
-    for (var i = 0; i < this._databaseFiles.length; i++) {
-        if (!window[this._databaseFiles[i].name]) {
+    var files = this._databaseFiles.concat(this._optionalDatabaseFiles);
+    for (var i = 0; i < files.length; i++) {
+        if (!window[files[i].name]) {
             return false;
         }
     }
@@ -139,6 +165,9 @@ DataManager.onLoad = function(object) {
             }
         }
     }
+    if (object === $dataSkills || object === $dataItems) {
+        this.compileDamageFormulas(object);
+    }
     if (object === $dataSystem) {
         Decrypter.hasEncryptedImages = !!object.hasEncryptedImages;
         Decrypter.hasEncryptedAudio = !!object.hasEncryptedAudio;
@@ -163,10 +192,29 @@ DataManager.extractMetadata = function(data) {
     }
 };
 
+DataManager.compileDamageFormulas = function(array) {
+    var kind = (array === $dataSkills ? 'Skill' : 'Item');
+    for (var i = 1; i < array.length; i++) {
+        var item = array[i];
+        if (item && item.damage.type > 0) {
+            var formula = DamageFormula.compile(item.damage.formula);
+            if (!formula.isValid()) {
+                var message = kind + ' ' + i + ' (' + item.name + '): ' + formula.error;
+                console.error('Invalid damage formula in ' + message);
+                this._formulaErrors.push(message);
+            }
+        }
+    }
+};
+
 DataManager.checkError = function() {
     if (DataManager._errorUrl) {
         throw new Error('Failed to load: ' + DataManager._errorUrl);
     }
+    if (DataManager._formulaErrors.length > 0 && Utils.isOptionValid('test')) {
+        throw new Error('Invalid damage formulas:<br>' +
+                        DataManager._formulaErrors.join('<br>'));
+    }
 };
 
 DataManager.isBattleTest = function() {
@@ -193,11 +241,27 @@ DataManager.isArmor = function(item) {
     return item && $dataArmors.contains(item);
 };
 
+// kind is 1 for items, 2 for weapons and 3 for armors, as in quest rewards.
+DataManager.itemByKind = function(kind, dataId) {
+    if (kind === 1) {
+        return $dataItems[dataId] || null;
+    } else if (kind === 2) {
+        return $dataWeapons[dataId] || null;
+    } else if (kind === 3) {
+        return $dataArmors[dataId] || null;
+    } else {
+        return null;
+    }
+};
+
 DataManager.createGameObjects = function() {
     $gameTemp          = new Game_Temp();
     $gameSystem        = new Game_System();
     $gameScreen        = new Game_Screen();
     $gameTimer         = new Game_Timer();
+    $gameRandom        = new Game_Random();
+    $gameQuests        = new Game_Quests();
+    $gameClock         = new Game_Clock();
     $gameMessage       = new Game_Message();
     $gameSwitches      = new Game_Switches();
     $gameVariables     = new Game_Variables();
@@ -242,13 +306,16 @@ DataManager.loadGlobalInfo = function() {
         console.error(e);
         return [];
     }
+    // The global info only indexes the save files, so a restored copy needs
+    // no notice.
+    StorageManager.clearRestored(0);
     if (json) {
         var globalInfo = JSON.parse(json);
-        for (var i = 1; i <= this.maxSavefiles(); i++) {
-            if (!StorageManager.exists(i)) {
-                delete globalInfo[i];
+        this.allSavefileIds().forEach(function(savefileId) {
+            if (!StorageManager.exists(savefileId)) {
+                delete globalInfo[savefileId];
             }
-        }
+        });
         return globalInfo;
     } else {
         return [];
@@ -256,6 +323,7 @@ DataManager.loadGlobalInfo = function() {
 };
 
 DataManager.saveGlobalInfo = function(info) {
+    StorageManager.backup(0);
     StorageManager.save(0, JSON.stringify(info));
 };
 
@@ -277,8 +345,9 @@ DataManager.isThisGameFile = function(savefileId) {
 DataManager.isAnySavefileExists = function() {
     var globalInfo = this.loadGlobalInfo();
     if (globalInfo) {
-        for (var i = 1; i < globalInfo.length; i++) {
-            if (this.isThisGameFile(i)) {
+        var ids = this.allSavefileIds();
+        for (var i = 0; i < ids.length; i++) {
+            if (this.isThisGameFile(ids[i])) {
                 return true;
             }
         }
@@ -291,10 +360,12 @@ DataManager.latestSavefileId = function() {
     var savefileId = 1;
     var timestamp = 0;
     if (globalInfo) {
-        for (var i = 1; i < globalInfo.length; i++) {
-            if (this.isThisGameFile(i) && globalInfo[i].timestamp > timestamp) {
-                timestamp = globalInfo[i].timestamp;
-                savefileId = i;
+        var ids = this.allSavefileIds();
+        for (var i = 0; i < ids.length; i++) {
+            var id = ids[i];
+            if (this.isThisGameFile(id) && globalInfo[id].timestamp > timestamp) {
+                timestamp = globalInfo[id].timestamp;
+                savefileId = id;
             }
         }
     }
@@ -304,9 +375,10 @@ DataManager.latestSavefileId = function() {
 DataManager.loadAllSavefileImages = function() {
     var globalInfo = this.loadGlobalInfo();
     if (globalInfo) {
-        for (var i = 1; i < globalInfo.length; i++) {
-            if (this.isThisGameFile(i)) {
-                var info = globalInfo[i];
+        var ids = this.allSavefileIds();
+        for (var i = 0; i < ids.length; i++) {
+            if (this.isThisGameFile(ids[i])) {
+                var info = globalInfo[ids[i]];
                 this.loadSavefileImages(info);
             }
         }
@@ -330,6 +402,44 @@ DataManager.maxSavefiles = function() {
     return 20;
 };
 
+DataManager.maxAutosaves = function() {
+    return 3;
+};
+
+// The quicksave and the autosaves have IDs of their own above the manual save
+// files, so that changing maxSavefiles does not move them.
+DataManager.quicksaveId = function() {
+    return 1000;
+};
+
+DataManager.autosaveId = function(index) {
+    return this.quicksaveId() + 1 + index;
+};
+
+DataManager.isManualSavefileId = function(savefileId) {
+    return savefileId >= 1 && savefileId <= this.maxSavefiles();
+};
+
+DataManager.isAutosaveId = function(savefileId) {
+    return (savefileId >= this.autosaveId(0) &&
+            savefileId < this.autosaveId(this.maxAutosaves()));
+};
+
+DataManager.isQuicksaveId = function(savefileId) {
+    return savefileId === this.quicksaveId();
+};
+
+DataManager.allSavefileIds = function() {
+    var ids = [this.quicksaveId()];
+    for (var i = 0; i < this.maxAutosaves(); i++) {
+        ids.push(this.autosaveId(i));
+    }
+    for (var j = 1; j <= this.maxSavefiles(); j++) {
+        ids.push(j);
+    }
+    return ids;
+};
+
 DataManager.saveGame = function(savefileId) {
     try {
         StorageManager.backup(savefileId);
@@ -354,6 +464,51 @@ DataManager.loadGame = function(savefileId) {
     }
 };
 
+DataManager.isAutosaveEnabled = function() {
+    return (this.maxAutosaves() > 0 && $gameSystem.isSaveEnabled() &&
+            !this.isBattleTest() && !this.isEventTest());
+};
+
+DataManager.autosave = function() {
+    if (this.isAutosaveEnabled()) {
+        return this.saveSpecialGame(this.nextAutosaveId());
+    }
+    return false;
+};
+
+DataManager.nextAutosaveId = function() {
+    var globalInfo = this.loadGlobalInfo();
+    var savefileId = this.autosaveId(0);
+    var timestamp = Number.MAX_VALUE;
+    for (var i = 0; i < this.maxAutosaves(); i++) {
+        var info = globalInfo[this.autosaveId(i)];
+        if (!info) {
+            return this.autosaveId(i);
+        }
+        if (info.timestamp < timestamp) {
+            timestamp = info.timestamp;
+            savefileId = this.autosaveId(i);
+        }
+    }
+    return savefileId;
+};
+
+DataManager.isQuicksaveEnabled = function() {
+    return $gameSystem.isSaveEnabled() && !this.isEventTest();
+};
+
+DataManager.quicksave = function() {
+    if (this.isQuicksaveEnabled()) {
+        return this.saveSpecialGame(this.quicksaveId());
+    }
+    return false;
+};
+
+DataManager.saveSpecialGame = function(savefileId) {
+    $gameSystem.onBeforeSave();
+    return this.saveGame(savefileId);
+};
+
 DataManager.loadSavefileInfo = function(savefileId) {
     var globalInfo = this.loadGlobalInfo();
     return (globalInfo && globalInfo[savefileId]) ? globalInfo[savefileId] : null;
@@ -363,13 +518,20 @@ DataManager.lastAccessedSavefileId = function() {
     return this._lastAccessedId;
 };
 
+DataManager.setLastAccessedId = function(savefileId) {
+    // Autosaves and quicksaves must not move the cursor of the save screen.
+    if (this.isManualSavefileId(savefileId)) {
+        this._lastAccessedId = savefileId;
+    }
+};
+
 DataManager.saveGameWithoutRescue = function(savefileId) {
     var json = JsonEx.stringify(this.makeSaveContents());
     if (json.length >= 200000) {
         console.warn('Save data too big!');
     }
     StorageManager.save(savefileId, json);
-    this._lastAccessedId = savefileId;
+    this.setLastAccessedId(savefileId);
     var globalInfo = this.loadGlobalInfo() || [];
     globalInfo[savefileId] = this.makeSavefileInfo();
     this.saveGlobalInfo(globalInfo);
@@ -380,9 +542,11 @@ DataManager.loadGameWithoutRescue = function(savefileId) {
     var globalInfo = this.loadGlobalInfo();
     if (this.isThisGameFile(savefileId)) {
         var json = StorageManager.load(savefileId);
+        var contents = JsonEx.parse(json);
+        this.checkSaveVersion(contents);
         this.createGameObjects();
-        this.extractSaveContents(JsonEx.parse(json));
-        this._lastAccessedId = savefileId;
+        this.extractSaveContents(this.migrateSaveContents(contents));
+        this.setLastAccessedId(savefileId);
         return true;
     } else {
         return false;
@@ -393,12 +557,17 @@ DataManager.selectSavefileForNewGame = function() {
     var globalInfo = this.loadGlobalInfo();
     this._lastAccessedId = 1;
     if (globalInfo) {
-        var numSavefiles = Math.max(0, globalInfo.length - 1);
+        var numSavefiles = 0;
+        for (var j = 1; j <= this.maxSavefiles(); j++) {
+            if (globalInfo[j]) {
+                numSavefiles = j;
+            }
+        }
         if (numSavefiles < this.maxSavefiles()) {
             this._lastAccessedId = numSavefiles + 1;
         } else {
             var timestamp = Number.MAX_VALUE;
-            for (var i = 1; i < globalInfo.length; i++) {
+            for (var i = 1; i <= this.maxSavefiles(); i++) {
                 if (!globalInfo[i]) {
                     this._lastAccessedId = i;
                     break;
@@ -420,15 +589,20 @@ DataManager.makeSavefileInfo = function() {
     info.faces      = $gameParty.facesForSavefile();
     info.playtime   = $gameSystem.playtimeText();
     info.timestamp  = Date.now();
+    info.version    = this.saveVersion();
     return info;
 };
 
 DataManager.makeSaveContents = function() {
     // A save data does not contain $gameTemp, $gameMessage, and $gameTroop.
     var contents = {};
+    contents.version      = this.saveVersion();
     contents.system       = $gameSystem;
     contents.screen       = $gameScreen;
     contents.timer        = $gameTimer;
+    contents.random       = $gameRandom;
+    contents.quests       = $gameQuests;
+    contents.clock        = $gameClock;
     contents.switches     = $gameSwitches;
     contents.variables    = $gameVariables;
     contents.selfSwitches = $gameSelfSwitches;
@@ -443,6 +617,9 @@ DataManager.extractSaveContents = function(contents) {
     $gameSystem        = contents.system;
     $gameScreen        = contents.screen;
     $gameTimer         = contents.timer;
+    $gameRandom        = contents.random || new Game_Random();
+    $gameQuests        = contents.quests || new Game_Quests();
+    $gameClock         = contents.clock || new Game_Clock();
     $gameSwitches      = contents.switches;
     $gameVariables     = contents.variables;
     $gameSelfSwitches  = contents.selfSwitches;
@@ -450,4 +627,57 @@ DataManager.extractSaveContents = function(contents) {
     $gameParty         = contents.party;
     $gameMap           = contents.map;
     $gamePlayer        = contents.player;
+};
+
+DataManager.saveVersion = function() {
+    return this._saveVersion;
+};
+
+DataManager.registerSaveMigration = function(version, migration) {
+    if (version < 1) {
+        throw new Error('Save migrations must target version 1 or later');
+    }
+    this._saveMigrations = this._saveMigrations.filter(function(entry) {
+        return entry.version !== version;
+    });
+    this._saveMigrations.push({ version: version, migration: migration });
+    this._saveMigrations.sort(function(a, b) {
+        return a.version - b.version;
+    });
+    this._saveVersion = Math.max(this._saveVersion, version);
+};
+
+DataManager.contentsVersion = function(contents) {
+    return contents.version || 0;
+};
+
+DataManager.checkSaveVersion = function(contents) {
+    var version = this.contentsVersion(contents);
+    if (!this.isSaveVersionSupported(version)) {
+        throw new Error('Save data version ' + version +
+                        ' is newer than the game (version ' +
+                        this.saveVersion() + ')');
+    }
+};
+
+// Saves made by a newer version of the game can't be loaded.
+DataManager.isSaveVersionSupported = function(version) {
+    return (version || 0) <= this.saveVersion();
+};
+
+DataManager.isSavefileVersionSupported = function(savefileId) {
+    var info = this.loadSavefileInfo(savefileId);
+    return !info || this.isSaveVersionSupported(info.version);
+};
+
+DataManager.migrateSaveContents = function(contents) {
+    var version = this.contentsVersion(contents);
+    this._saveMigrations.forEach(function(entry) {
+        if (entry.version > version) {
+            contents = entry.migration(contents) || contents;
+            contents.version = entry.version;
+        }
+    });
+    contents.version = this.saveVersion();
+    return contents;
 };
\ No newline at end of file
@@ -0,0 +1,216 @@
+//-----------------------------------------------------------------------------
+// EnemyAIManager
+//
+// The static class that decides how enemies choose actions and targets.
+//
+// Enemies are configured with note tags:
+//   <aiProfile:name>                  Uses a registered behavior profile.
+//   <aiTarget:strategy>               Overrides how opponents are targeted.
+//   <aiFriendTarget:strategy>         Overrides how allies are targeted.
+//   <aiCondition:skillId name args>   Adds a condition to the skill's action.
+
+function EnemyAIManager() {
+    throw new Error('This is a static class');
+}
+
+EnemyAIManager._profiles = {};
+EnemyAIManager._targetStrategies = {};
+EnemyAIManager._conditions = {};
+EnemyAIManager._conditionCache = {};
+
+EnemyAIManager.registerProfile = function(name, profile) {
+    this._profiles[name] = profile;
+};
+
+EnemyAIManager.registerTargetStrategy = function(name, func) {
+    this._targetStrategies[name] = func;
+};
+
+EnemyAIManager.registerCondition = function(name, func) {
+    this._conditions[name] = func;
+};
+
+EnemyAIManager.profile = function(enemy) {
+    var meta = enemy.enemy().meta || {};
+    var base = this._profiles[meta.aiProfile] || this._profiles['default'];
+    return {
+        ratingRange: base.ratingRange,
+        opponentTarget: meta.aiTarget || base.opponentTarget,
+        friendTarget: meta.aiFriendTarget || base.friendTarget
+    };
+};
+
+EnemyAIManager.ratingRange = function(enemy) {
+    return this.profile(enemy).ratingRange;
+};
+
+EnemyAIManager.conditions = function(enemy) {
+    var enemyId = enemy.enemyId();
+    if (!this._conditionCache[enemyId]) {
+        this._conditionCache[enemyId] = this.parseConditions(enemy.enemy().note);
+    }
+    return this._conditionCache[enemyId];
+};
+
+EnemyAIManager.parseConditions = function(note) {
+    var conditions = [];
+    var re = /<aiCondition:\s*(\d+)\s+(\w+)([^>]*)>/g;
+    for (;;) {
+        var match = re.exec(note || '');
+        if (!match) {
+            break;
+        }
+        var args = match[3].trim().split(/\s+/).filter(function(arg) {
+            return arg.length > 0;
+        }).map(Number);
+        conditions.push({ skillId: Number(match[1]), name: match[2], args: args });
+    }
+    return conditions;
+};
+
+EnemyAIManager.meetsConditions = function(enemy, action) {
+    return this.conditions(enemy).every(function(condition) {
+        if (condition.skillId !== action.skillId) {
+            return true;
+        }
+        var func = this._conditions[condition.name];
+        if (!func) {
+            console.warn('Unknown enemy AI condition: ' + condition.name);
+            return true;
+        }
+        return func.apply(null, [enemy].concat(condition.args));
+    }, this);
+};
+
+EnemyAIManager.decideTarget = function(enemy, action) {
+    if (!action.item() || !action.isForOne() || action.isForUser() ||
+            action.isForDeadFriend()) {
+        return;
+    }
+    var profile = this.profile(enemy);
+    var unit, name;
+    if (action.isForFriend()) {
+        unit = enemy.friendsUnit();
+        name = profile.friendTarget;
+    } else {
+        unit = enemy.opponentsUnit();
+        name = profile.opponentTarget;
+    }
+    var strategy = this._targetStrategies[name];
+    var candidates = unit.aliveMembers();
+    var target = strategy && candidates.length > 0 ?
+            strategy(candidates, action, enemy) : null;
+    if (target) {
+        action.setTarget(target.index());
+    }
+};
+
+EnemyAIManager.minBy = function(battlers, func) {
+    return battlers.reduce(function(r, battler) {
+        return func(battler) < func(r) ? battler : r;
+    });
+};
+
+EnemyAIManager.isHealer = function(battler) {
+    var skills = battler.isActor() ? battler.skills() :
+            battler.enemy().actions.map(function(action) {
+                return $dataSkills[action.skillId];
+            });
+    return skills.some(function(skill) {
+        return skill && skill.damage.type === 3;
+    });
+};
+
+EnemyAIManager.registerProfile('default', {
+    ratingRange: 3,
+    opponentTarget: 'random',
+    friendTarget: 'random'
+});
+
+EnemyAIManager.registerProfile('aggressive', {
+    ratingRange: 3,
+    opponentTarget: 'lowestHp',
+    friendTarget: 'lowestHpRate'
+});
+
+EnemyAIManager.registerProfile('tactical', {
+    ratingRange: 2,
+    opponentTarget: 'weakest',
+    friendTarget: 'lowestHpRate'
+});
+
+EnemyAIManager.registerProfile('assassin', {
+    ratingRange: 3,
+    opponentTarget: 'healer',
+    friendTarget: 'lowestHpRate'
+});
+
+EnemyAIManager.registerProfile('strict', {
+    ratingRange: 1,
+    opponentTarget: 'random',
+    friendTarget: 'lowestHpRate'
+});
+
+EnemyAIManager.registerTargetStrategy('random', function() {
+    return null;
+});
+
+EnemyAIManager.registerTargetStrategy('lowestHp', function(candidates) {
+    return EnemyAIManager.minBy(candidates, function(battler) {
+        return battler.hp;
+    });
+});
+
+EnemyAIManager.registerTargetStrategy('highestHp', function(candidates) {
+    return EnemyAIManager.minBy(candidates, function(battler) {
+        return -battler.hp;
+    });
+});
+
+EnemyAIManager.registerTargetStrategy('lowestHpRate', function(candidates) {
+    return EnemyAIManager.minBy(candidates, function(battler) {
+        return battler.hpRate();
+    });
+});
+
+EnemyAIManager.registerTargetStrategy('weakest', function(candidates, action) {
+    return EnemyAIManager.minBy(candidates, function(battler) {
+        return -action.calcElementRate(battler);
+    });
+});
+
+EnemyAIManager.registerTargetStrategy('healer', function(candidates) {
+    var healers = candidates.filter(function(battler) {
+        return EnemyAIManager.isHealer(battler);
+    });
+    return EnemyAIManager.minBy(healers.length > 0 ? healers : candidates,
+            function(battler) {
+                return battler.hp;
+            });
+});
+
+EnemyAIManager.registerCondition('allyHpBelow', function(enemy, percent) {
+    return enemy.friendsUnit().aliveMembers().some(function(battler) {
+        return battler.hpRate() * 100 <= percent;
+    });
+});
+
+EnemyAIManager.registerCondition('allyDead', function(enemy) {
+    return enemy.friendsUnit().deadMembers().length > 0;
+});
+
+EnemyAIManager.registerCondition('opponentsWithState', function(enemy, stateId, count) {
+    return enemy.opponentsUnit().aliveMembers().filter(function(battler) {
+        return battler.isStateAffected(stateId);
+    }).length >= (count || 1);
+});
+
+EnemyAIManager.registerCondition('opponentsWithoutState', function(enemy, stateId, count) {
+    return enemy.opponentsUnit().aliveMembers().filter(function(battler) {
+        return !battler.isStateAffected(stateId);
+    }).length >= (count || 1);
+});
+
+EnemyAIManager.registerCondition('damageTakenAbove', function(enemy, value) {
+    return enemy.lastDamage() >= value;
+});
\ No newline at end of file
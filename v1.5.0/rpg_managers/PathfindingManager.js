@@ -0,0 +1,259 @@
+//-----------------------------------------------------------------------------
+// PathfindingManager
+//
+// The static class that finds paths for characters with A* search over the
+// map passability. Found paths are cached per character and dropped when
+// another character moves onto them or the map changes.
+
+function PathfindingManager() {
+    throw new Error('This is a static class');
+}
+
+PathfindingManager.searchLimit = 12;
+PathfindingManager.diagonal = false;
+PathfindingManager._cache = [];
+
+PathfindingManager.clearCache = function() {
+    this._cache = [];
+};
+
+PathfindingManager.path = function(character, goalX, goalY, options) {
+    var searchLimit = this.searchLimitFor(character, options);
+    var diagonal = this.isDiagonalFor(character, options);
+    var entry = this.cacheEntry(character);
+    if (entry && entry.mapId === $gameMap.mapId() &&
+            entry.goalX === goalX && entry.goalY === goalY &&
+            entry.searchLimit === searchLimit && entry.diagonal === diagonal) {
+        var steps = this.remainingSteps(character, entry);
+        if (steps) {
+            entry.x = character.x;
+            entry.y = character.y;
+            entry.steps = steps;
+            return { steps: steps, complete: entry.complete };
+        }
+    }
+    var path = this.findPath(character, goalX, goalY, options);
+    this.storeCache(character, {
+        character: character,
+        mapId: $gameMap.mapId(),
+        x: character.x,
+        y: character.y,
+        goalX: goalX,
+        goalY: goalY,
+        searchLimit: searchLimit,
+        diagonal: diagonal,
+        steps: path.steps,
+        complete: path.complete
+    });
+    return path;
+};
+
+PathfindingManager.nextDirection = function(character, goalX, goalY, options) {
+    var steps = this.path(character, goalX, goalY, options).steps;
+    return steps.length > 0 ? steps[0].direction : 0;
+};
+
+PathfindingManager.findPath = function(character, goalX, goalY, options) {
+    var searchLimit = this.searchLimitFor(character, options);
+    var diagonal = this.isDiagonalFor(character, options);
+    var directions = diagonal ? [2, 4, 6, 8, 1, 3, 7, 9] : [2, 4, 6, 8];
+    var mapWidth = $gameMap.width();
+    var start = { parent: null, x: character.x, y: character.y, direction: 0, g: 0 };
+    var nodes = {};
+    var closed = {};
+    var openList = [start];
+    var best = start;
+
+    start.h = this.distance(start.x, start.y, goalX, goalY, diagonal);
+    start.f = start.h;
+    nodes[start.y * mapWidth + start.x] = start;
+
+    while (openList.length > 0) {
+        var current = this.popNode(openList);
+        var pos1 = current.y * mapWidth + current.x;
+        if (closed[pos1]) {
+            continue;
+        }
+        closed[pos1] = true;
+
+        if (current.x === goalX && current.y === goalY) {
+            best = current;
+            break;
+        }
+        if (current.g >= searchLimit) {
+            continue;
+        }
+
+        for (var i = 0; i < directions.length; i++) {
+            var direction = directions[i];
+            var x2 = $gameMap.roundXWithDirection(current.x, this.horzDirection(direction));
+            var y2 = $gameMap.roundYWithDirection(current.y, this.vertDirection(direction));
+            var pos2 = y2 * mapWidth + x2;
+            if (closed[pos2] || !this.canStep(character, current.x, current.y, direction)) {
+                continue;
+            }
+            var g2 = current.g + 1;
+            var neighbor = nodes[pos2];
+            if (!neighbor || g2 < neighbor.g) {
+                neighbor = { parent: current, x: x2, y: y2, direction: direction, g: g2 };
+                neighbor.h = this.distance(x2, y2, goalX, goalY, diagonal);
+                neighbor.f = g2 + neighbor.h;
+                nodes[pos2] = neighbor;
+                this.pushNode(openList, neighbor);
+                if (neighbor.h < best.h) {
+                    best = neighbor;
+                }
+            }
+        }
+    }
+
+    var steps = [];
+    for (var node = best; node.parent; node = node.parent) {
+        steps.unshift({ x: node.x, y: node.y, direction: node.direction });
+    }
+    return { steps: steps, complete: best.x === goalX && best.y === goalY };
+};
+
+PathfindingManager.searchLimitFor = function(character, options) {
+    return (options && options.searchLimit) || character.searchLimit();
+};
+
+PathfindingManager.isDiagonalFor = function(character, options) {
+    if (options && options.diagonal !== undefined) {
+        return !!options.diagonal;
+    }
+    return character.isDiagonalPathfinding();
+};
+
+PathfindingManager.distance = function(x1, y1, x2, y2, diagonal) {
+    var dx = Math.abs($gameMap.deltaX(x1, x2));
+    var dy = Math.abs($gameMap.deltaY(y1, y2));
+    return diagonal ? Math.max(dx, dy) : dx + dy;
+};
+
+PathfindingManager.horzDirection = function(d) {
+    if (d % 2 === 0) {
+        return d === 4 || d === 6 ? d : 0;
+    }
+    return d % 3 === 1 ? 4 : 6;
+};
+
+PathfindingManager.vertDirection = function(d) {
+    if (d % 2 === 0) {
+        return d === 2 || d === 8 ? d : 0;
+    }
+    return d < 5 ? 2 : 8;
+};
+
+PathfindingManager.canStep = function(character, x, y, d) {
+    if (d % 2 === 0) {
+        return character.canPass(x, y, d);
+    } else {
+        return character.canPassDiagonally(x, y, this.horzDirection(d),
+                                           this.vertDirection(d));
+    }
+};
+
+PathfindingManager.pushNode = function(heap, node) {
+    var index = heap.length;
+    heap.push(node);
+    while (index > 0) {
+        var parent = (index - 1) >> 1;
+        if (this.compareNodes(heap[index], heap[parent]) >= 0) {
+            break;
+        }
+        this.swapNodes(heap, index, parent);
+        index = parent;
+    }
+};
+
+PathfindingManager.popNode = function(heap) {
+    var top = heap[0];
+    var last = heap.pop();
+    if (heap.length > 0) {
+        heap[0] = last;
+        var index = 0;
+        for (;;) {
+            var left = index * 2 + 1;
+            var right = left + 1;
+            var smallest = index;
+            if (left < heap.length && this.compareNodes(heap[left], heap[smallest]) < 0) {
+                smallest = left;
+            }
+            if (right < heap.length && this.compareNodes(heap[right], heap[smallest]) < 0) {
+                smallest = right;
+            }
+            if (smallest === index) {
+                break;
+            }
+            this.swapNodes(heap, index, smallest);
+            index = smallest;
+        }
+    }
+    return top;
+};
+
+PathfindingManager.compareNodes = function(a, b) {
+    return a.f !== b.f ? a.f - b.f : a.h - b.h;
+};
+
+PathfindingManager.swapNodes = function(heap, i, j) {
+    var node = heap[i];
+    heap[i] = heap[j];
+    heap[j] = node;
+};
+
+PathfindingManager.cacheEntry = function(character) {
+    for (var i = 0; i < this._cache.length; i++) {
+        if (this._cache[i].character === character) {
+            return this._cache[i];
+        }
+    }
+    return null;
+};
+
+PathfindingManager.storeCache = function(character, entry) {
+    this.removeCache(character);
+    this._cache.push(entry);
+};
+
+PathfindingManager.removeCache = function(character) {
+    this._cache = this._cache.filter(function(entry) {
+        return entry.character !== character;
+    });
+};
+
+PathfindingManager.remainingSteps = function(character, entry) {
+    var steps = entry.steps;
+    var index = -1;
+    if (character.x === entry.x && character.y === entry.y) {
+        index = 0;
+    } else {
+        for (var i = 0; i < steps.length; i++) {
+            if (character.x === steps[i].x && character.y === steps[i].y) {
+                index = i + 1;
+                break;
+            }
+        }
+    }
+    if (index < 0) {
+        return null;
+    }
+    var remaining = steps.slice(index);
+    if (remaining.length === 0 && !entry.complete) {
+        return null;
+    }
+    if (remaining.length > 0 &&
+            !this.canStep(character, character.x, character.y, remaining[0].direction)) {
+        return null;
+    }
+    return remaining;
+};
+
+PathfindingManager.onCharacterMove = function(character) {
+    this._cache = this._cache.filter(function(entry) {
+        return entry.character === character || !entry.steps.some(function(step) {
+            return character.pos(step.x, step.y);
+        });
+    });
+};
\ No newline at end of file
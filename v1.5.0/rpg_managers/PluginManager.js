@@ -11,18 +11,181 @@ PluginManager._path         = 'js/plugins/';
 PluginManager._scripts      = [];
 PluginManager._errorUrls    = [];
 PluginManager._parameters   = {};
+PluginManager._orderErrors  = [];
+PluginManager._commands     = {};
+PluginManager._warnedCommands = [];
 
 PluginManager.setup = function(plugins) {
-    plugins.forEach(function(plugin) {
-        if (plugin.status && !this._scripts.contains(plugin.name)) {
+    var enabled = this.enabledPlugins(plugins);
+    this._orderErrors = this.checkDependencies(enabled);
+    if (this._orderErrors.length === 0) {
+        this.sortPlugins(enabled).forEach(function(plugin) {
             this.setParameters(plugin.name, plugin.parameters);
             this.loadScript(plugin.name + '.js');
             this._scripts.push(plugin.name);
+        }, this);
+    }
+};
+
+PluginManager.enabledPlugins = function(plugins) {
+    var names = this._scripts.clone();
+    return plugins.filter(function(plugin) {
+        if (plugin.status && !names.contains(plugin.name)) {
+            names.push(plugin.name);
+            return true;
         }
+        return false;
+    });
+};
+
+// Each plugin entry in plugins.js may declare the following:
+//   requires    : names of plugins that must be enabled and loaded first
+//   after       : names of plugins to load first if they are enabled
+//   before      : names of plugins to load later if they are enabled
+//   coreVersion : the minimum version of the core scripts, such as '1.5.0'
+PluginManager.checkDependencies = function(plugins) {
+    var errors = [];
+    var names = plugins.map(function(plugin) {
+        return plugin.name;
+    });
+    plugins.forEach(function(plugin) {
+        this.pluginList(plugin, 'requires').forEach(function(name) {
+            if (!names.contains(name)) {
+                errors.push(plugin.name + ' requires ' + name +
+                            ', which is missing or disabled');
+            }
+        });
+        if (plugin.coreVersion && this.compareVersions(Utils.RPGMAKER_VERSION,
+                                                       plugin.coreVersion) < 0) {
+            errors.push(plugin.name + ' requires core version ' +
+                        plugin.coreVersion + ' or later (current ' +
+                        Utils.RPGMAKER_VERSION + ')');
+        }
+    }, this);
+    if (errors.length === 0) {
+        var cycle = this.findCycle(plugins);
+        if (cycle) {
+            errors.push('Circular load order: ' + cycle.join(' -> '));
+        }
+    }
+    return errors;
+};
+
+PluginManager.pluginList = function(plugin, key) {
+    var value = plugin[key];
+    if (Array.isArray(value)) {
+        return value;
+    } else if (value) {
+        return [value];
+    } else {
+        return [];
+    }
+};
+
+// Returns a table of plugin name -> names of the plugins it must follow.
+PluginManager.makePredecessors = function(plugins) {
+    var names = plugins.map(function(plugin) {
+        return plugin.name;
+    });
+    var table = {};
+    names.forEach(function(name) {
+        table[name] = [];
+    });
+    plugins.forEach(function(plugin) {
+        var self = table[plugin.name];
+        var after = this.pluginList(plugin, 'requires').concat(
+                    this.pluginList(plugin, 'after'));
+        after.forEach(function(name) {
+            if (names.contains(name) && !self.contains(name)) {
+                self.push(name);
+            }
+        });
+        this.pluginList(plugin, 'before').forEach(function(name) {
+            if (names.contains(name) && !table[name].contains(plugin.name)) {
+                table[name].push(plugin.name);
+            }
+        });
     }, this);
+    return table;
+};
+
+PluginManager.findCycle = function(plugins) {
+    var table = this.makePredecessors(plugins);
+    var states = {};
+    var path = [];
+    var visit = function(name) {
+        if (states[name] === 'done') {
+            return null;
+        }
+        if (states[name] === 'visiting') {
+            return path.slice(path.indexOf(name)).concat(name);
+        }
+        states[name] = 'visiting';
+        path.push(name);
+        for (var i = 0; i < table[name].length; i++) {
+            var cycle = visit(table[name][i]);
+            if (cycle) {
+                return cycle;
+            }
+        }
+        path.pop();
+        states[name] = 'done';
+        return null;
+    };
+    for (var i = 0; i < plugins.length; i++) {
+        var cycle = visit(plugins[i].name);
+        if (cycle) {
+            return cycle.reverse();
+        }
+    }
+    return null;
+};
+
+// Sorts topologically, keeping the order of plugins.js where unconstrained.
+PluginManager.sortPlugins = function(plugins) {
+    var table = this.makePredecessors(plugins);
+    var pending = plugins.clone();
+    var loaded = [];
+    var result = [];
+    var isLoadable = function(plugin) {
+        return table[plugin.name].every(function(name) {
+            return loaded.contains(name);
+        });
+    };
+    while (pending.length > 0) {
+        for (var i = 0; i < pending.length; i++) {
+            if (isLoadable(pending[i])) {
+                var plugin = pending.splice(i, 1)[0];
+                loaded.push(plugin.name);
+                result.push(plugin);
+                break;
+            }
+        }
+    }
+    return result;
+};
+
+PluginManager.compareVersions = function(version1, version2) {
+    var a = String(version1).split('.');
+    var b = String(version2).split('.');
+    for (var i = 0; i < Math.max(a.length, b.length); i++) {
+        var diff = (Number(a[i]) || 0) - (Number(b[i]) || 0);
+        if (diff !== 0) {
+            return diff > 0 ? 1 : -1;
+        }
+    }
+    return 0;
+};
+
+PluginManager.loadOrder = function() {
+    return this._scripts.clone();
 };
 
 PluginManager.checkErrors = function() {
+    if (this._orderErrors.length > 0) {
+        throw new Error('Failed to resolve plugins:<br>' +
+                        this._orderErrors.join('<br>'));
+    }
     var url = this._errorUrls.shift();
     if (url) {
         throw new Error('Failed to load: ' + url);
@@ -37,6 +200,213 @@ PluginManager.setParameters = function(name, parameters) {
     this._parameters[name.toLowerCase()] = parameters;
 };
 
+// Returns the parameters of a plugin converted according to a schema, e.g.
+//   PluginManager.typedParameters('MyPlugin', {
+//       speed:   { type: 'number', default: 4, min: 1, max: 6 },
+//       enabled: 'boolean',
+//       mode:    { type: 'select', options: ['fast', 'slow'] },
+//       enemies: { type: 'array', items: { type: 'struct', struct: {
+//           id:   'number',
+//           note: 'note'
+//       }}}
+//   });
+// Types are number, boolean, string, select, note, file, struct and array.
+// Missing or malformed values fall back to the default with a warning.
+PluginManager.typedParameters = function(name, schema) {
+    var path = 'Plugin parameter ' + name;
+    return this.parseStruct(path, this.parameters(name), schema);
+};
+
+PluginManager.parseStruct = function(path, raw, schema) {
+    var result = {};
+    Object.keys(raw).forEach(function(key) {
+        if (!schema.hasOwnProperty(key)) {
+            this.warnParameter(path + '.' + key, 'unknown parameter');
+        }
+    }, this);
+    Object.keys(schema).forEach(function(key) {
+        var spec = this.normalizeSpec(schema[key]);
+        result[key] = this.parseParameter(path + '.' + key, raw[key], spec);
+    }, this);
+    return result;
+};
+
+PluginManager.normalizeSpec = function(spec) {
+    if (typeof spec === 'string') {
+        return { type: spec };
+    } else {
+        return spec;
+    }
+};
+
+PluginManager.parseParameter = function(path, value, spec) {
+    if (value === undefined || value === '') {
+        return this.defaultParameter(path, spec);
+    }
+    try {
+        return this.convertParameter(path, value, spec);
+    } catch (e) {
+        this.warnParameter(path, e.message);
+        return this.defaultParameter(path, spec);
+    }
+};
+
+PluginManager.convertParameter = function(path, value, spec) {
+    switch (spec.type) {
+    case 'number':
+        var number = Number(value);
+        if (isNaN(number)) {
+            throw new Error('"' + value + '" is not a number');
+        }
+        if (number < spec.min) {
+            this.warnParameter(path, number + ' is less than ' + spec.min);
+            number = spec.min;
+        } else if (number > spec.max) {
+            this.warnParameter(path, number + ' is greater than ' + spec.max);
+            number = spec.max;
+        }
+        return number;
+    case 'boolean':
+        if (value === true || value === 'true') {
+            return true;
+        } else if (value === false || value === 'false') {
+            return false;
+        }
+        throw new Error('"' + value + '" is not a boolean');
+    case 'select':
+        if (spec.options && !spec.options.contains(value)) {
+            throw new Error('"' + value + '" is not one of ' +
+                            spec.options.join(', '));
+        }
+        return value;
+    case 'note':
+        var text = JSON.parse(value);
+        if (typeof text !== 'string') {
+            throw new Error('note is not a string');
+        }
+        return text;
+    case 'struct':
+        var object = typeof value === 'string' ? JSON.parse(value) : value;
+        if (!object || typeof object !== 'object' || Array.isArray(object)) {
+            throw new Error('struct is not an object');
+        }
+        return this.parseStruct(path, object, spec.struct || {});
+    case 'array':
+        var array = typeof value === 'string' ? JSON.parse(value) : value;
+        if (!Array.isArray(array)) {
+            throw new Error('list is not an array');
+        }
+        var items = this.normalizeSpec(spec.items || 'string');
+        return array.map(function(item, index) {
+            return this.parseParameter(path + '[' + index + ']', item, items);
+        }, this);
+    case 'string':
+    case 'file':
+        return String(value);
+    default:
+        throw new Error('unknown type "' + spec.type + '"');
+    }
+};
+
+PluginManager.defaultParameter = function(path, spec) {
+    if (spec.default !== undefined) {
+        return spec.default;
+    }
+    switch (spec.type) {
+    case 'number':
+        return spec.min > 0 ? spec.min : 0;
+    case 'boolean':
+        return false;
+    case 'select':
+        return spec.options ? spec.options[0] : '';
+    case 'struct':
+        return this.parseStruct(path, {}, spec.struct || {});
+    case 'array':
+        return [];
+    default:
+        return '';
+    }
+};
+
+PluginManager.warnParameter = function(path, message) {
+    console.warn(path + ': ' + message);
+};
+
+// Registers a plugin command invoked from events as
+//   Namespace.command arg1 "quoted arg" \V[n]
+// args lists the arguments in order, each with a name and the same
+// specification as typedParameters, or just a name for a string argument.
+// func is called with the interpreter as this and an object of the converted
+// arguments.
+PluginManager.registerCommand = function(namespace, command, args, func) {
+    var name = namespace + '.' + command;
+    var key = name.toLowerCase();
+    if (this._commands[key]) {
+        console.warn('Plugin command ' + name + ' is already registered');
+    }
+    args = (args || []).map(function(arg) {
+        return typeof arg === 'string' ? { name: arg, type: 'string' } : arg;
+    });
+    this._commands[key] = { name: name, args: args, func: func };
+};
+
+PluginManager.isCommandRegistered = function(name) {
+    return !!this._commands[name.toLowerCase()];
+};
+
+PluginManager.callCommand = function(interpreter, name, tokens) {
+    var command = this._commands[name.toLowerCase()];
+    var path = 'Plugin command ' + command.name;
+    var args = {};
+    if (tokens.length > command.args.length) {
+        this.warnParameter(path, 'too many arguments');
+    }
+    command.args.forEach(function(spec, index) {
+        args[spec.name] = this.parseParameter(path + '.' + spec.name,
+                                              tokens[index], spec);
+    }, this);
+    command.func.call(interpreter, args);
+};
+
+PluginManager.splitCommandText = function(text) {
+    // A bracketed list such as [1, 2, 5] is one argument even with spaces.
+    var re = /"((?:[^"\\]|\\.)*)"|'([^']*)'|(\[[^\]]*\]|\S+)/g;
+    var tokens = [];
+    for (;;) {
+        var match = re.exec(text);
+        if (!match) {
+            break;
+        }
+        var token = match[3];
+        if (match[1] !== undefined) {
+            token = match[1].replace(/\\(["\\])/g, '$1');
+        } else if (match[2] !== undefined) {
+            token = match[2];
+        }
+        tokens.push(this.substituteVariables(token));
+    }
+    return tokens;
+};
+
+PluginManager.substituteVariables = function(text) {
+    return text.replace(/\\V\[(\d+)\]/gi, function() {
+        return $gameVariables.value(parseInt(arguments[1]));
+    });
+};
+
+// Only names in the Namespace.command form are expected to be registered;
+// other commands belong to plugins that override pluginCommand.
+PluginManager.warnUnknownCommand = function(name) {
+    if (!/^\w+\.\w+$/.test(name) || !$gameTemp.isPlaytest()) {
+        return;
+    }
+    if (!this._warnedCommands.contains(name)) {
+        this._warnedCommands.push(name);
+        console.warn('Plugin command ' + name + ' is not registered' +
+                     ' and was passed to Game_Interpreter.pluginCommand');
+    }
+};
+
 PluginManager.loadScript = function(name) {
     var url = this._path + name;
     var script = document.createElement('script');
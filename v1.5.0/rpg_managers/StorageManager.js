@@ -7,188 +7,132 @@ function StorageManager() {
     throw new Error('This is a static class');
 }
 
-StorageManager.save = function(savefileId, json) {
-    if (this.isLocalMode()) {
-        this.saveToLocalFile(savefileId, json);
-    } else {
-        this.saveToWebStorage(savefileId, json);
-    }
+StorageManager._backend    = null;
+StorageManager._restoredIds = [];
+
+StorageManager.setup = function() {
+    this.backend().setup();
 };
 
-StorageManager.load = function(savefileId) {
-    if (this.isLocalMode()) {
-        return this.loadFromLocalFile(savefileId);
-    } else {
-        return this.loadFromWebStorage(savefileId);
-    }
+StorageManager.isReady = function() {
+    return this.backend().isReady();
 };
 
-StorageManager.exists = function(savefileId) {
-    if (this.isLocalMode()) {
-        return this.localFileExists(savefileId);
-    } else {
-        return this.webStorageExists(savefileId);
-    }
+StorageManager.isSaving = function() {
+    return this.backend().isSaving();
 };
 
-StorageManager.remove = function(savefileId) {
-    if (this.isLocalMode()) {
-        this.removeLocalFile(savefileId);
-    } else {
-        this.removeWebStorage(savefileId);
-    }
+StorageManager.lastError = function() {
+    return this.backend().lastError();
 };
 
-StorageManager.backup = function(savefileId) {
-    if (this.exists(savefileId)) {
-        if (this.isLocalMode()) {
-            var data = this.loadFromLocalFile(savefileId);
-            var compressed = LZString.compressToBase64(data);
-            var fs = require('fs');
-            var dirPath = this.localFileDirectoryPath();
-            var filePath = this.localFilePath(savefileId) + ".bak";
-            if (!fs.existsSync(dirPath)) {
-                fs.mkdirSync(dirPath);
-            }
-            fs.writeFileSync(filePath, compressed);
-        } else {
-            var data = this.loadFromWebStorage(savefileId);
-            var compressed = LZString.compressToBase64(data);
-            var key = this.webStorageKey(savefileId) + "bak";
-            localStorage.setItem(key, compressed);
-        }
+StorageManager.backend = function() {
+    if (!this._backend) {
+        this._backend = this.createDefaultBackend();
     }
+    return this._backend;
 };
 
-StorageManager.backupExists = function(savefileId) {
+StorageManager.setBackend = function(backend) {
+    this._backend = backend;
+};
+
+StorageManager.createDefaultBackend = function() {
     if (this.isLocalMode()) {
-        return this.localFileBackupExists(savefileId);
+        return new LocalFileBackend();
     } else {
-        return this.webStorageBackupExists(savefileId);
+        return new WebStorageBackend();
     }
 };
 
-StorageManager.cleanBackup = function(savefileId) {
-    if (this.backupExists(savefileId)) {
-        if (this.isLocalMode()) {
-            var fs = require('fs');
-            var dirPath = this.localFileDirectoryPath();
-            var filePath = this.localFilePath(savefileId);
-            fs.unlinkSync(filePath + ".bak");
-        } else {
-            var key = this.webStorageKey(savefileId);
-            localStorage.removeItem(key + "bak");
-        }
-    }
+StorageManager.save = function(savefileId, json) {
+    this.backend().save(savefileId, this.pack(json));
 };
 
-StorageManager.restoreBackup = function(savefileId) {
-    if (this.backupExists(savefileId)) {
-        if (this.isLocalMode()) {
-            var data = this.loadFromLocalBackupFile(savefileId);
-            var compressed = LZString.compressToBase64(data);
-            var fs = require('fs');
-            var dirPath = this.localFileDirectoryPath();
-            var filePath = this.localFilePath(savefileId);
-            if (!fs.existsSync(dirPath)) {
-                fs.mkdirSync(dirPath);
-            }
-            fs.writeFileSync(filePath, compressed);
-            fs.unlinkSync(filePath + ".bak");
-        } else {
-            var data = this.loadFromWebStorageBackup(savefileId);
-            var compressed = LZString.compressToBase64(data);
-            var key = this.webStorageKey(savefileId);
-            localStorage.setItem(key, compressed);
-            localStorage.removeItem(key + "bak");
+StorageManager.load = function(savefileId) {
+    try {
+        return this.unpack(this.backend().load(savefileId));
+    } catch (e) {
+        if (this.backupExists(savefileId)) {
+            console.warn(e.message + ', restoring from backup');
+            var json = this.unpack(this.backend().loadBackup(savefileId));
+            this.restoreBackup(savefileId);
+            this._restoredIds.push(savefileId);
+            return json;
         }
+        throw e;
     }
 };
 
-StorageManager.isLocalMode = function() {
-    return Utils.isNwjs();
-};
-
-StorageManager.saveToLocalFile = function(savefileId, json) {
+StorageManager.pack = function(json) {
     var data = LZString.compressToBase64(json);
-    var fs = require('fs');
-    var dirPath = this.localFileDirectoryPath();
-    var filePath = this.localFilePath(savefileId);
-    if (!fs.existsSync(dirPath)) {
-        fs.mkdirSync(dirPath);
-    }
-    fs.writeFileSync(filePath, data);
+    return '#' + this.checksum(data) + '#' + data;
 };
 
-StorageManager.loadFromLocalFile = function(savefileId) {
-    var data = null;
-    var fs = require('fs');
-    var filePath = this.localFilePath(savefileId);
-    if (fs.existsSync(filePath)) {
-        data = fs.readFileSync(filePath, { encoding: 'utf8' });
+StorageManager.unpack = function(data) {
+    if (data) {
+        var match = /^#([0-9a-f]{8})#/.exec(data);
+        if (match) {
+            data = data.slice(match[0].length);
+            if (this.checksum(data) !== match[1]) {
+                throw new Error('Save data checksum mismatch');
+            }
+        }
+        var json = LZString.decompressFromBase64(data);
+        if (!json) {
+            throw new Error('Save data could not be decompressed');
+        }
+        return json;
     }
     return LZString.decompressFromBase64(data);
 };
 
-StorageManager.loadFromLocalBackupFile = function(savefileId) {
-    var data = null;
-    var fs = require('fs');
-    var filePath = this.localFilePath(savefileId) + ".bak";
-    if (fs.existsSync(filePath)) {
-        data = fs.readFileSync(filePath, { encoding: 'utf8' });
+StorageManager.checksum = function(data) {
+    // 32-bit FNV-1a
+    var hash = 0x811c9dc5;
+    for (var i = 0; i < data.length; i++) {
+        hash ^= data.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
     }
-    return LZString.decompressFromBase64(data);
+    return ('0000000' + (hash >>> 0).toString(16)).slice(-8);
 };
 
-StorageManager.localFileBackupExists = function(savefileId) {
-    var fs = require('fs');
-    return fs.existsSync(this.localFilePath(savefileId) + ".bak");
+StorageManager.isRestored = function(savefileId) {
+    return this._restoredIds.contains(savefileId);
 };
 
-StorageManager.localFileExists = function(savefileId) {
-    var fs = require('fs');
-    return fs.existsSync(this.localFilePath(savefileId));
+StorageManager.clearRestored = function(savefileId) {
+    this._restoredIds = this._restoredIds.filter(function(id) {
+        return id !== savefileId;
+    });
 };
 
-StorageManager.removeLocalFile = function(savefileId) {
-    var fs = require('fs');
-    var filePath = this.localFilePath(savefileId);
-    if (fs.existsSync(filePath)) {
-        fs.unlinkSync(filePath);
-    }
+StorageManager.exists = function(savefileId) {
+    return this.backend().exists(savefileId);
 };
 
-StorageManager.saveToWebStorage = function(savefileId, json) {
-    var key = this.webStorageKey(savefileId);
-    var data = LZString.compressToBase64(json);
-    localStorage.setItem(key, data);
+StorageManager.remove = function(savefileId) {
+    this.backend().remove(savefileId);
 };
 
-StorageManager.loadFromWebStorage = function(savefileId) {
-    var key = this.webStorageKey(savefileId);
-    var data = localStorage.getItem(key);
-    return LZString.decompressFromBase64(data);
+StorageManager.backup = function(savefileId) {
+    this.backend().backup(savefileId);
 };
 
-StorageManager.loadFromWebStorageBackup = function(savefileId) {
-    var key = this.webStorageKey(savefileId) + "bak";
-    var data = localStorage.getItem(key);
-    return LZString.decompressFromBase64(data);
+StorageManager.backupExists = function(savefileId) {
+    return this.backend().backupExists(savefileId);
 };
 
-StorageManager.webStorageBackupExists = function(savefileId) {
-    var key = this.webStorageKey(savefileId) + "bak";
-    return !!localStorage.getItem(key);
+StorageManager.cleanBackup = function(savefileId) {
+    this.backend().cleanBackup(savefileId);
 };
 
-StorageManager.webStorageExists = function(savefileId) {
-    var key = this.webStorageKey(savefileId);
-    return !!localStorage.getItem(key);
+StorageManager.restoreBackup = function(savefileId) {
+    this.backend().restoreBackup(savefileId);
 };
 
-StorageManager.removeWebStorage = function(savefileId) {
-    var key = this.webStorageKey(savefileId);
-    localStorage.removeItem(key);
+StorageManager.isLocalMode = function() {
+    return Utils.isNwjs();
 };
 
 StorageManager.localFileDirectoryPath = function() {
@@ -198,16 +142,18 @@ StorageManager.localFileDirectoryPath = function() {
     return path.join(base, 'save/');
 };
 
-StorageManager.localFilePath = function(savefileId) {
-    var name;
+StorageManager.localFileName = function(savefileId) {
     if (savefileId < 0) {
-        name = 'config.rpgsave';
+        return 'config.rpgsave';
     } else if (savefileId === 0) {
-        name = 'global.rpgsave';
+        return 'global.rpgsave';
     } else {
-        name = 'file%1.rpgsave'.format(savefileId);
+        return 'file%1.rpgsave'.format(savefileId);
     }
-    return this.localFileDirectoryPath() + name;
+};
+
+StorageManager.localFilePath = function(savefileId) {
+    return this.localFileDirectoryPath() + this.localFileName(savefileId);
 };
 
 StorageManager.webStorageKey = function(savefileId) {
@@ -218,4 +164,4 @@ StorageManager.webStorageKey = function(savefileId) {
     } else {
         return 'RPG File%1'.format(savefileId);
     }
-};
\ No newline at end of file
+};
@@ -37,6 +37,15 @@ Object.defineProperty(TextManager, 'currencyUnit', {
     configurable: true
 });
 
+TextManager.fallback = function(messageId, text) {
+    return {
+        get: function() {
+            return this.message(messageId) || text;
+        },
+        configurable: true
+    };
+};
+
 Object.defineProperties(TextManager, {
     level           : TextManager.getter('basic', 0),
     levelA          : TextManager.getter('basic', 1),
@@ -123,4 +132,28 @@ Object.defineProperties(TextManager, {
     debuffAdd       : TextManager.getter('message', 'debuffAdd'),
     buffRemove      : TextManager.getter('message', 'buffRemove'),
     actionFailure   : TextManager.getter('message', 'actionFailure'),
+});
+
+Object.defineProperties(TextManager, {
+    newerSave       : TextManager.fallback('newerSave', 'Saved by a newer version'),
+    backupRestored  : TextManager.fallback('backupRestored',
+                          '%1 was damaged and has been restored from its backup.'),
+    autosave        : TextManager.fallback('autosave', 'Autosave'),
+    quicksave       : TextManager.fallback('quicksave', 'Quicksave'),
+    atbActive       : TextManager.fallback('atbActive', 'Active Battle'),
+    bestiary        : TextManager.fallback('bestiary', 'Bestiary'),
+    encyclopedia    : TextManager.fallback('encyclopedia', 'Encyclopedia'),
+    unknown         : TextManager.fallback('unknown', '??????'),
+    defeated        : TextManager.fallback('defeated', 'Defeated'),
+    weakness        : TextManager.fallback('weakness', 'Weak'),
+    resistance      : TextManager.fallback('resistance', 'Resist'),
+    drops           : TextManager.fallback('drops', 'Drops'),
+    quest           : TextManager.fallback('quest', 'Quests'),
+    questActive     : TextManager.fallback('questActive', 'In Progress'),
+    questCompleted  : TextManager.fallback('questCompleted', 'Completed'),
+    questFailed     : TextManager.fallback('questFailed', 'Failed'),
+    questObjectives : TextManager.fallback('questObjectives', 'Objectives'),
+    questRewards    : TextManager.fallback('questRewards', 'Rewards'),
+    ingredients     : TextManager.fallback('ingredients', 'Ingredients'),
+    storageParty    : TextManager.fallback('storageParty', 'Inventory')
 });
\ No newline at end of file
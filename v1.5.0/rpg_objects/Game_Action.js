@@ -248,7 +248,12 @@ Game_Action.prototype.isValid = function() {
 
 Game_Action.prototype.speed = function() {
     var agi = this.subject().agi;
-    var speed = agi + Math.randomInt(Math.floor(5 + agi / 4));
+    var speed = agi + $gameRandom.randomInt('battle', Math.floor(5 + agi / 4));
+    return speed + this.speedModifier();
+};
+
+Game_Action.prototype.speedModifier = function() {
+    var speed = 0;
     if (this.item()) {
         speed += this.item().speed;
     }
@@ -260,6 +265,10 @@ Game_Action.prototype.speed = function() {
 
 Game_Action.prototype.makeTargets = function() {
     var targets = [];
+    if (!this._forcing && this.subject().isEnemy()) {
+        // The battle may have changed since the enemy chose its action.
+        EnemyAIManager.decideTarget(this.subject(), this);
+    }
     if (!this._forcing && this.subject().isConfused()) {
         targets = [this.confusionTarget()];
     } else if (this.isForOpponent()) {
@@ -289,7 +298,7 @@ Game_Action.prototype.confusionTarget = function() {
     case 1:
         return this.opponentsUnit().randomTarget();
     case 2:
-        if (Math.randomInt(2) === 0) {
+        if ($gameRandom.randomInt('action', 2) === 0) {
             return this.opponentsUnit().randomTarget();
         }
         return this.friendsUnit().randomTarget();
@@ -353,7 +362,7 @@ Game_Action.prototype.evaluate = function() {
     }, this);
     value *= this.numRepeats();
     if (value > 0) {
-        value += Math.random();
+        value += $gameRandom.random('action');
     }
     return value;
 };
@@ -466,13 +475,13 @@ Game_Action.prototype.apply = function(target) {
     this.subject().clearResult();
     result.clear();
     result.used = this.testApply(target);
-    result.missed = (result.used && Math.random() >= this.itemHit(target));
-    result.evaded = (!result.missed && Math.random() < this.itemEva(target));
+    result.missed = (result.used && $gameRandom.random('action') >= this.itemHit(target));
+    result.evaded = (!result.missed && $gameRandom.random('action') < this.itemEva(target));
     result.physical = this.isPhysical();
     result.drain = this.isDrain();
     if (result.isHit()) {
         if (this.item().damage.type > 0) {
-            result.critical = (Math.random() < this.itemCri(target));
+            result.critical = ($gameRandom.random('action') < this.itemCri(target));
             var value = this.makeDamageValue(target, result.critical);
             this.executeDamage(target, value);
         }
@@ -480,6 +489,19 @@ Game_Action.prototype.apply = function(target) {
             this.applyItemEffect(target, effect);
         }, this);
         this.applyItemUserEffect(target);
+        this.applyTurnDelay(target);
+    }
+    if (this.item().damage.type > 0) {
+        // A miss counts as no damage.
+        target.setLastDamage(Math.max(result.hpDamage, 0));
+    }
+};
+
+Game_Action.prototype.applyTurnDelay = function(target) {
+    var delay = Number(this.item().meta.ctbDelay) || 0;
+    if (delay !== 0 && BattleManager.isCtb()) {
+        BattleManager.delayBattler(target, delay / 100);
+        this.makeSuccess(target);
     }
 };
 
@@ -512,7 +534,9 @@ Game_Action.prototype.evalDamageFormula = function(target) {
         var b = target;
         var v = $gameVariables._data;
         var sign = ([3, 4].contains(item.damage.type) ? -1 : 1);
-        var value = Math.max(eval(item.damage.formula), 0) * sign;
+        var formula = DamageFormula.compile(item.damage.formula);
+        var random = $gameRandom.stream('action');
+        var value = Math.max(formula.evaluate(a, b, v, random), 0) * sign;
         if (isNaN(value)) value = 0;
         return value;
     } catch (e) {
@@ -544,7 +568,8 @@ Game_Action.prototype.applyCritical = function(damage) {
 
 Game_Action.prototype.applyVariance = function(damage, variance) {
     var amp = Math.floor(Math.max(Math.abs(damage) * variance / 100, 0));
-    var v = Math.randomInt(amp + 1) + Math.randomInt(amp + 1) - amp;
+    var v = ($gameRandom.randomInt('action', amp + 1) +
+             $gameRandom.randomInt('action', amp + 1) - amp);
     return damage >= 0 ? damage + v : damage - v;
 };
 
@@ -698,7 +723,7 @@ Game_Action.prototype.itemEffectAddAttackState = function(target, effect) {
         chance *= target.stateRate(stateId);
         chance *= this.subject().attackStatesRate(stateId);
         chance *= this.lukEffectRate(target);
-        if (Math.random() < chance) {
+        if ($gameRandom.random('action') < chance) {
             target.addState(stateId);
             this.makeSuccess(target);
         }
@@ -711,7 +736,7 @@ Game_Action.prototype.itemEffectAddNormalState = function(target, effect) {
         chance *= target.stateRate(effect.dataId);
         chance *= this.lukEffectRate(target);
     }
-    if (Math.random() < chance) {
+    if ($gameRandom.random('action') < chance) {
         target.addState(effect.dataId);
         this.makeSuccess(target);
     }
@@ -719,7 +744,7 @@ Game_Action.prototype.itemEffectAddNormalState = function(target, effect) {
 
 Game_Action.prototype.itemEffectRemoveState = function(target, effect) {
     var chance = effect.value1;
-    if (Math.random() < chance) {
+    if ($gameRandom.random('action') < chance) {
         target.removeState(effect.dataId);
         this.makeSuccess(target);
     }
@@ -732,7 +757,7 @@ Game_Action.prototype.itemEffectAddBuff = function(target, effect) {
 
 Game_Action.prototype.itemEffectAddDebuff = function(target, effect) {
     var chance = target.debuffRate(effect.dataId) * this.lukEffectRate(target);
-    if (Math.random() < chance) {
+    if ($gameRandom.random('action') < chance) {
         target.addDebuff(effect.dataId, effect.value1);
         this.makeSuccess(target);
     }
@@ -11,6 +11,10 @@ function Game_Battler() {
 Game_Battler.prototype = Object.create(Game_BattlerBase.prototype);
 Game_Battler.prototype.constructor = Game_Battler;
 
+// The item speed that carries a full ATB gauge over into the next turn, so
+// the fastest speed of 2000 keeps half of one and the slowest loses half.
+Game_Battler.ATB_RECOVERY_SPEED = 4000;
+
 Game_Battler.prototype.initialize = function() {
     Game_BattlerBase.prototype.initialize.call(this);
 };
@@ -19,6 +23,9 @@ Game_Battler.prototype.initMembers = function() {
     Game_BattlerBase.prototype.initMembers.call(this);
     this._actions = [];
     this._speed = 0;
+    this._atbGauge = 0;
+    this._atbRecovery = 0;
+    this._lastDamage = 0;
     this._result = new Game_ActionResult();
     this._actionState = '';
     this._lastTargetIndex = 0;
@@ -276,7 +283,7 @@ Game_Battler.prototype.removeBuffsAuto = function() {
 
 Game_Battler.prototype.removeStatesByDamage = function() {
     this.states().forEach(function(state) {
-        if (state.removeByDamage && Math.randomInt(100) < state.chanceByDamage) {
+        if (state.removeByDamage && $gameRandom.randomInt('action', 100) < state.chanceByDamage) {
             this.removeState(state.id);
         }
     }, this);
@@ -284,7 +291,7 @@ Game_Battler.prototype.removeStatesByDamage = function() {
 
 Game_Battler.prototype.makeActionTimes = function() {
     return this.actionPlusSet().reduce(function(r, p) {
-        return Math.random() < p ? r + 1 : r;
+        return $gameRandom.random('battle') < p ? r + 1 : r;
     }, 1);
 };
 
@@ -309,6 +316,74 @@ Game_Battler.prototype.makeSpeed = function() {
     })) || 0;
 };
 
+Game_Battler.prototype.atbRate = function() {
+    return this._atbGauge || 0;
+};
+
+Game_Battler.prototype.isAtbCharged = function() {
+    return this.atbRate() >= 1;
+};
+
+Game_Battler.prototype.initAtbGauge = function(advantage, disadvantage) {
+    if (advantage) {
+        this._atbGauge = 1;
+    } else if (disadvantage) {
+        this._atbGauge = 0;
+    } else {
+        this._atbGauge = $gameRandom.random('battle') * 0.5;
+    }
+};
+
+Game_Battler.prototype.setAtbGauge = function(rate) {
+    this._atbGauge = rate.clamp(-1, 1);
+};
+
+Game_Battler.prototype.clearAtbGauge = function() {
+    this._atbGauge = 0;
+    this._atbRecovery = 0;
+};
+
+Game_Battler.prototype.resetAtbGauge = function() {
+    this._atbGauge = this._atbRecovery || 0;
+    this._atbRecovery = 0;
+};
+
+Game_Battler.prototype.speedModifier = function() {
+    if (this._actions.length > 0) {
+        return Math.min.apply(null, this._actions.map(function(action) {
+            return action.speedModifier();
+        }));
+    }
+    return 0;
+};
+
+Game_Battler.prototype.nextAtbRecovery = function() {
+    return (this.speedModifier() / Game_Battler.ATB_RECOVERY_SPEED).clamp(-0.5, 0.5);
+};
+
+Game_Battler.prototype.makeAtbRecovery = function() {
+    this._atbRecovery = this.nextAtbRecovery();
+};
+
+Game_Battler.prototype.atbSpeed = function() {
+    return this.agi / BattleManager.atbBaseAgility() / BattleManager.atbTurnFrames();
+};
+
+Game_Battler.prototype.atbChargeFrames = function(rate) {
+    if (rate === undefined) {
+        rate = this.atbRate();
+    }
+    return Math.max(1 - rate, 0) / Math.max(this.atbSpeed(), 0.0001);
+};
+
+Game_Battler.prototype.updateAtbGauge = function(frames) {
+    if (this.atbChargeFrames() <= frames) {
+        this._atbGauge = 1;
+    } else {
+        this._atbGauge += this.atbSpeed() * frames;
+    }
+};
+
 Game_Battler.prototype.currentAction = function() {
     return this._actions[0];
 };
@@ -372,7 +447,7 @@ Game_Battler.prototype.gainSilentTp = function(value) {
 };
 
 Game_Battler.prototype.initTp = function() {
-    this.setTp(Math.randomInt(25));
+    this.setTp($gameRandom.randomInt('battle', 25));
 };
 
 Game_Battler.prototype.clearTp = function() {
@@ -419,6 +494,7 @@ Game_Battler.prototype.regenerateAll = function() {
 Game_Battler.prototype.onBattleStart = function() {
     this.setActionState('undecided');
     this.clearMotion();
+    this._lastDamage = 0;
     if (!this.isPreserveTp()) {
         this.initTp();
     }
@@ -443,6 +519,7 @@ Game_Battler.prototype.onBattleEnd = function() {
     this.removeBattleStates();
     this.removeAllBuffs();
     this.clearActions();
+    this.clearAtbGauge();
     if (!this.isPreserveTp()) {
         this.clearTp();
     }
@@ -454,6 +531,14 @@ Game_Battler.prototype.onDamage = function(value) {
     this.chargeTpByDamage(value / this.mhp);
 };
 
+Game_Battler.prototype.lastDamage = function() {
+    return this._lastDamage || 0;
+};
+
+Game_Battler.prototype.setLastDamage = function(value) {
+    this._lastDamage = value;
+};
+
 Game_Battler.prototype.setActionState = function(actionState) {
     this._actionState = actionState;
     this.requestMotionRefresh();
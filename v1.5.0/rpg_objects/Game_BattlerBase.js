@@ -149,7 +149,7 @@ Game_BattlerBase.prototype.deathStateId = function() {
 Game_BattlerBase.prototype.resetStateCounts = function(stateId) {
     var state = $dataStates[stateId];
     var variance = 1 + Math.max(state.maxTurns - state.minTurns, 0);
-    this._stateTurns[stateId] = state.minTurns + Math.randomInt(variance);
+    this._stateTurns[stateId] = state.minTurns + $gameRandom.randomInt('action', variance);
 };
 
 Game_BattlerBase.prototype.isStateExpired = function(stateId) {
@@ -56,6 +56,8 @@ Game_Character.ROUTE_CHANGE_OPACITY    = 42;
 Game_Character.ROUTE_CHANGE_BLEND_MODE = 43;
 Game_Character.ROUTE_PLAY_SE           = 44;
 Game_Character.ROUTE_SCRIPT            = 45;
+Game_Character.ROUTE_MOVE_TO           = 46;
+Game_Character.ROUTE_MOVE_TO_CHARACTER = 47;
 
 Game_Character.prototype.initialize = function() {
     Game_CharacterBase.prototype.initialize.call(this);
@@ -264,9 +266,57 @@ Game_Character.prototype.processMoveCommand = function(command) {
     case gc.ROUTE_SCRIPT:
         eval(params[0]);
         break;
+    case gc.ROUTE_MOVE_TO:
+        this.processMoveTo(params[0], params[1], null);
+        break;
+    case gc.ROUTE_MOVE_TO_CHARACTER:
+        var target = this.routeCharacter(params[0]);
+        if (target) {
+            this.processMoveTo(target.x, target.y, target);
+        }
+        break;
+    }
+};
+
+// -1 is the player and 0 is this character, as in Game_Interpreter.character.
+Game_Character.prototype.routeCharacter = function(param) {
+    if (param < 0) {
+        return $gamePlayer;
+    } else if (param === 0) {
+        return this;
+    } else {
+        return $gameMap.event(param) || null;
     }
 };
 
+Game_Character.prototype.processMoveTo = function(goalX, goalY, character) {
+    if (!this.isMoveToReached(goalX, goalY, character)) {
+        var steps = PathfindingManager.path(this, goalX, goalY).steps;
+        if (steps.length === 0) {
+            // The goal can't be reached and this is as close as it gets, so
+            // end the command rather than wait on it forever.
+            return;
+        }
+        this.moveInDirection(steps[0].direction);
+        if (this.isMovementSucceeded() && !this.isMoveToReached(goalX, goalY, character)) {
+            // Stay on this command until the goal is reached.
+            this._moveRouteIndex--;
+        }
+    }
+    if (character && this.isMoveToReached(goalX, goalY, character)) {
+        this.turnTowardCharacter(character);
+    }
+};
+
+Game_Character.prototype.isMoveToReached = function(goalX, goalY, character) {
+    if (character && character !== this) {
+        var distance = PathfindingManager.distance(this.x, this.y, goalX, goalY,
+                                                   this.isDiagonalPathfinding());
+        return distance <= 1;
+    }
+    return this.pos(goalX, goalY);
+};
+
 Game_Character.prototype.deltaXFrom = function(x) {
     return $gameMap.deltaX(this.x, x);
 };
@@ -442,118 +492,39 @@ Game_Character.prototype.swap = function(character) {
 };
 
 Game_Character.prototype.findDirectionTo = function(goalX, goalY) {
-    var searchLimit = this.searchLimit();
-    var mapWidth = $gameMap.width();
-    var nodeList = [];
-    var openList = [];
-    var closedList = [];
-    var start = {};
-    var best = start;
-
     if (this.x === goalX && this.y === goalY) {
         return 0;
     }
 
-    start.parent = null;
-    start.x = this.x;
-    start.y = this.y;
-    start.g = 0;
-    start.f = $gameMap.distance(start.x, start.y, goalX, goalY);
-    nodeList.push(start);
-    openList.push(start.y * mapWidth + start.x);
-
-    while (nodeList.length > 0) {
-        var bestIndex = 0;
-        for (var i = 0; i < nodeList.length; i++) {
-            if (nodeList[i].f < nodeList[bestIndex].f) {
-                bestIndex = i;
-            }
-        }
-
-        var current = nodeList[bestIndex];
-        var x1 = current.x;
-        var y1 = current.y;
-        var pos1 = y1 * mapWidth + x1;
-        var g1 = current.g;
-
-        nodeList.splice(bestIndex, 1);
-        openList.splice(openList.indexOf(pos1), 1);
-        closedList.push(pos1);
-
-        if (current.x === goalX && current.y === goalY) {
-            best = current;
-            break;
-        }
-
-        if (g1 >= searchLimit) {
-            continue;
-        }
-
-        for (var j = 0; j < 4; j++) {
-            var direction = 2 + j * 2;
-            var x2 = $gameMap.roundXWithDirection(x1, direction);
-            var y2 = $gameMap.roundYWithDirection(y1, direction);
-            var pos2 = y2 * mapWidth + x2;
-
-            if (closedList.contains(pos2)) {
-                continue;
-            }
-            if (!this.canPass(x1, y1, direction)) {
-                continue;
-            }
-
-            var g2 = g1 + 1;
-            var index2 = openList.indexOf(pos2);
-
-            if (index2 < 0 || g2 < nodeList[index2].g) {
-                var neighbor;
-                if (index2 >= 0) {
-                    neighbor = nodeList[index2];
-                } else {
-                    neighbor = {};
-                    nodeList.push(neighbor);
-                    openList.push(pos2);
-                }
-                neighbor.parent = current;
-                neighbor.x = x2;
-                neighbor.y = y2;
-                neighbor.g = g2;
-                neighbor.f = g2 + $gameMap.distance(x2, y2, goalX, goalY);
-                if (!best || neighbor.f - neighbor.g < best.f - best.g) {
-                    best = neighbor;
-                }
-            }
-        }
-    }
-
-    var node = best;
-    while (node.parent && node.parent !== start) {
-        node = node.parent;
+    var direction = PathfindingManager.nextDirection(this, goalX, goalY);
+    if (direction > 0) {
+        return direction;
     }
 
-    var deltaX1 = $gameMap.deltaX(node.x, start.x);
-    var deltaY1 = $gameMap.deltaY(node.y, start.y);
-    if (deltaY1 > 0) {
-        return 2;
-    } else if (deltaX1 < 0) {
-        return 4;
-    } else if (deltaX1 > 0) {
-        return 6;
-    } else if (deltaY1 < 0) {
-        return 8;
-    }
-
-    var deltaX2 = this.deltaXFrom(goalX);
-    var deltaY2 = this.deltaYFrom(goalY);
-    if (Math.abs(deltaX2) > Math.abs(deltaY2)) {
-        return deltaX2 > 0 ? 4 : 6;
-    } else if (deltaY2 !== 0) {
-        return deltaY2 > 0 ? 8 : 2;
+    var deltaX = this.deltaXFrom(goalX);
+    var deltaY = this.deltaYFrom(goalY);
+    if (Math.abs(deltaX) > Math.abs(deltaY)) {
+        return deltaX > 0 ? 4 : 6;
+    } else if (deltaY !== 0) {
+        return deltaY > 0 ? 8 : 2;
     }
 
     return 0;
 };
 
 Game_Character.prototype.searchLimit = function() {
-    return 12;
+    return PathfindingManager.searchLimit;
+};
+
+Game_Character.prototype.isDiagonalPathfinding = function() {
+    return PathfindingManager.diagonal;
+};
+
+Game_Character.prototype.moveInDirection = function(d) {
+    if (d % 2 === 0) {
+        this.moveStraight(d);
+    } else {
+        this.moveDiagonally(PathfindingManager.horzDirection(d),
+                            PathfindingManager.vertDirection(d));
+    }
 };
\ No newline at end of file
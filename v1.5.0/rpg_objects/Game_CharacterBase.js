@@ -48,6 +48,10 @@ Game_CharacterBase.prototype.initMembers = function() {
     this._jumpCount = 0;
     this._jumpPeak = 0;
     this._movementSuccess = true;
+    this._hitbox = null;
+    this._light = null;
+    this._pixelMoving = false;
+    this._pixelStepped = false;
 };
 
 Game_CharacterBase.prototype.pos = function(x, y) {
@@ -100,9 +104,16 @@ Game_CharacterBase.prototype.setPriorityType = function(priorityType) {
 };
 
 Game_CharacterBase.prototype.isMoving = function() {
+    if (this.isPixelMovement()) {
+        return this._pixelMoving;
+    }
     return this._realX !== this._x || this._realY !== this._y;
 };
 
+Game_CharacterBase.prototype.isPixelMovement = function() {
+    return false;
+};
+
 Game_CharacterBase.prototype.isJumping = function() {
     return this._jumpCount > 0;
 };
@@ -208,6 +219,7 @@ Game_CharacterBase.prototype.setPosition = function(x, y) {
     this._y = Math.round(y);
     this._realX = x;
     this._realY = y;
+    PathfindingManager.onCharacterMove(this);
 };
 
 Game_CharacterBase.prototype.copyPosition = function(character) {
@@ -286,7 +298,7 @@ Game_CharacterBase.prototype.update = function() {
     }
     if (this.isJumping()) {
         this.updateJump();
-    } else if (this.isMoving()) {
+    } else if (this.isMoving() && !this.isPixelMovement()) {
         this.updateMove();
     }
     this.updateAnimation();
@@ -460,6 +472,7 @@ Game_CharacterBase.prototype.moveStraight = function(d) {
         this._y = $gameMap.roundYWithDirection(this._y, d);
         this._realX = $gameMap.xWithDirection(this._x, this.reverseDir(d));
         this._realY = $gameMap.yWithDirection(this._y, this.reverseDir(d));
+        PathfindingManager.onCharacterMove(this);
         this.increaseSteps();
     } else {
         this.setDirection(d);
@@ -474,6 +487,7 @@ Game_CharacterBase.prototype.moveDiagonally = function(horz, vert) {
         this._y = $gameMap.roundYWithDirection(this._y, vert);
         this._realX = $gameMap.xWithDirection(this._x, this.reverseDir(horz));
         this._realY = $gameMap.yWithDirection(this._y, this.reverseDir(vert));
+        PathfindingManager.onCharacterMove(this);
         this.increaseSteps();
     }
     if (this._direction === this.reverseDir(horz)) {
@@ -484,6 +498,205 @@ Game_CharacterBase.prototype.moveDiagonally = function(horz, vert) {
     }
 };
 
+Game_CharacterBase.prototype.hitbox = function() {
+    return this._hitbox || this.defaultHitbox();
+};
+
+Game_CharacterBase.prototype.defaultHitbox = function() {
+    return { x: 0, y: 0, width: $gameMap.tileWidth(), height: $gameMap.tileHeight() };
+};
+
+Game_CharacterBase.prototype.setHitbox = function(x, y, width, height) {
+    this._hitbox = { x: x, y: y, width: width, height: height };
+};
+
+Game_CharacterBase.prototype.clearHitbox = function() {
+    this._hitbox = null;
+};
+
+Game_CharacterBase.prototype.light = function() {
+    return this._light;
+};
+
+Game_CharacterBase.prototype.setLight = function(light) {
+    this._light = light && light.radius > 0 ? light : null;
+};
+
+Game_CharacterBase.prototype.clearLight = function() {
+    this._light = null;
+};
+
+Game_CharacterBase.prototype.pixelRect = function(px, py) {
+    var hitbox = this.hitbox();
+    var left = px + hitbox.x;
+    var top = py + hitbox.y;
+    return { left: left, top: top, right: left + hitbox.width, bottom: top + hitbox.height };
+};
+
+Game_CharacterBase.prototype.currentPixelRect = function() {
+    return this.pixelRect(Math.round(this._realX * $gameMap.tileWidth()),
+                          Math.round(this._realY * $gameMap.tileHeight()));
+};
+
+Game_CharacterBase.prototype.movePixel = function(dx, dy) {
+    var lastRealX = this._realX;
+    var lastRealY = this._realY;
+    if (Math.abs(dx) > Math.abs(dy)) {
+        this.setDirection(dx < 0 ? 4 : 6);
+    } else if (dy !== 0) {
+        this.setDirection(dy < 0 ? 8 : 2);
+    }
+    this.movePixelAxis(dx, true);
+    this.movePixelAxis(dy, false);
+    this._pixelMoving = this._realX !== lastRealX || this._realY !== lastRealY;
+    if (this._pixelMoving) {
+        this.resetStopCount();
+        this.updatePixelTile();
+    }
+    return this._pixelMoving;
+};
+
+Game_CharacterBase.prototype.movePixelAxis = function(distance, horz) {
+    if (distance !== 0) {
+        var size = horz ? $gameMap.tileWidth() : $gameMap.tileHeight();
+        var d = horz ? (distance < 0 ? 4 : 6) : (distance < 0 ? 8 : 2);
+        var sign = distance < 0 ? -1 : 1;
+        var px = Math.round(this._realX * $gameMap.tileWidth());
+        var py = Math.round(this._realY * $gameMap.tileHeight());
+        var target = (horz ? this._realX : this._realY) + distance;
+        var steps = Math.abs(Math.round(target * size) - (horz ? px : py));
+        for (var i = 0; i < steps; i++) {
+            var px2 = horz ? px + sign : px;
+            var py2 = horz ? py : py + sign;
+            if (!this.canPassPixel(px, py, px2, py2, d)) {
+                target = (horz ? px : py) / size;
+                this.checkEventTriggerTouchPixel(px2, py2);
+                break;
+            }
+            px = px2;
+            py = py2;
+        }
+        if (horz) {
+            this._realX = target;
+        } else {
+            this._realY = target;
+        }
+    }
+};
+
+Game_CharacterBase.prototype.canPassPixel = function(x1, y1, x2, y2, d) {
+    var rect1 = this.pixelRect(x1, y1);
+    var rect2 = this.pixelRect(x2, y2);
+    if (!this.isPixelRectValid(rect2)) {
+        return false;
+    }
+    if (this.isThrough() || this.isDebugThrough()) {
+        return true;
+    }
+    if (!this.isPixelMapPassable(rect1, rect2, d)) {
+        return false;
+    }
+    if (this.pixelCollidedCharacter(rect2, rect1)) {
+        return false;
+    }
+    return true;
+};
+
+Game_CharacterBase.prototype.isPixelRectValid = function(rect) {
+    return (rect.left >= 0 && rect.top >= 0 &&
+            rect.right <= $gameMap.width() * $gameMap.tileWidth() &&
+            rect.bottom <= $gameMap.height() * $gameMap.tileHeight());
+};
+
+Game_CharacterBase.prototype.isPixelMapPassable = function(rect1, rect2, d) {
+    var from = this.pixelEdgeTile(rect1, d);
+    var to = this.pixelEdgeTile(rect2, d);
+    if (from === to) {
+        return true;
+    }
+    var horz = d === 4 || d === 6;
+    var size = horz ? $gameMap.tileHeight() : $gameMap.tileWidth();
+    var start = Math.floor((horz ? rect2.top : rect2.left) / size);
+    var end = Math.ceil((horz ? rect2.bottom : rect2.right) / size) - 1;
+    for (var i = start; i <= end; i++) {
+        if (!this.isMapPassable(horz ? from : i, horz ? i : from, d)) {
+            return false;
+        }
+    }
+    return true;
+};
+
+Game_CharacterBase.prototype.pixelEdgeTile = function(rect, d) {
+    var tw = $gameMap.tileWidth();
+    var th = $gameMap.tileHeight();
+    switch (d) {
+    case 2:
+        return Math.ceil(rect.bottom / th) - 1;
+    case 4:
+        return Math.floor(rect.left / tw);
+    case 6:
+        return Math.ceil(rect.right / tw) - 1;
+    default:
+        return Math.floor(rect.top / th);
+    }
+};
+
+// Characters that already overlap ignoreRect are skipped, so that one which
+// has moved into the hitbox doesn't pin this character in place.
+Game_CharacterBase.prototype.pixelCollidedCharacter = function(rect, ignoreRect) {
+    var characters = this.pixelColliders();
+    for (var i = 0; i < characters.length; i++) {
+        var character = characters[i];
+        if (character !== this) {
+            var rect2 = character.currentPixelRect();
+            if (this.isRectOverlapped(rect, rect2) &&
+                    !(ignoreRect && this.isRectOverlapped(ignoreRect, rect2))) {
+                return character;
+            }
+        }
+    }
+    return null;
+};
+
+Game_CharacterBase.prototype.pixelColliders = function() {
+    var events = $gameMap.events().filter(function(event) {
+        return event.isNormalPriority() && !event.isThrough();
+    });
+    var vehicles = [$gameMap.boat(), $gameMap.ship()].filter(function(vehicle) {
+        return vehicle.posNt(vehicle.x, vehicle.y);
+    });
+    return events.concat(vehicles);
+};
+
+Game_CharacterBase.prototype.isRectOverlapped = function(rect1, rect2) {
+    return (rect1.left < rect2.right && rect2.left < rect1.right &&
+            rect1.top < rect2.bottom && rect2.top < rect1.bottom);
+};
+
+Game_CharacterBase.prototype.checkEventTriggerTouchPixel = function(px, py) {
+    var character = this.pixelCollidedCharacter(this.pixelRect(px, py));
+    if (character) {
+        this.checkEventTriggerTouch(character.x, character.y);
+    }
+};
+
+Game_CharacterBase.prototype.updatePixelTile = function() {
+    var rect = this.currentPixelRect();
+    var x = Math.floor((rect.left + rect.right) / 2 / $gameMap.tileWidth());
+    var y = Math.floor((rect.top + rect.bottom) / 2 / $gameMap.tileHeight());
+    if (x !== this._x || y !== this._y) {
+        this.pixelStep(x, y);
+    }
+};
+
+Game_CharacterBase.prototype.pixelStep = function(x, y) {
+    this._x = x;
+    this._y = y;
+    this._pixelStepped = true;
+    PathfindingManager.onCharacterMove(this);
+    this.increaseSteps();
+};
+
 Game_CharacterBase.prototype.jump = function(xPlus, yPlus) {
     if (Math.abs(xPlus) > Math.abs(yPlus)) {
         if (xPlus !== 0) {
@@ -496,6 +709,7 @@ Game_CharacterBase.prototype.jump = function(xPlus, yPlus) {
     }
     this._x += xPlus;
     this._y += yPlus;
+    PathfindingManager.onCharacterMove(this);
     var distance = Math.round(Math.sqrt(xPlus * xPlus + yPlus * yPlus));
     this._jumpPeak = 10 + distance - this._moveSpeed;
     this._jumpCount = this._jumpPeak * 2;
@@ -0,0 +1,189 @@
+//-----------------------------------------------------------------------------
+// Game_Clock
+//
+// The game object class for the in-game clock. Time only passes on the map
+// screen. The clock can tint the screen by time of day, except on maps with a
+// <noDayNight> note tag, and copy the day, hour and minute into variables.
+
+function Game_Clock() {
+    this.initialize.apply(this, arguments);
+}
+
+Game_Clock.MINUTES_PER_DAY = 1440;
+
+Game_Clock.prototype.initialize = function() {
+    this._running = false;
+    this._tinting = false;
+    this._minutes = 0;
+    this._speed = 1;
+    this._dayVariableId = 0;
+    this._hourVariableId = 0;
+    this._minuteVariableId = 0;
+    this._phaseIndex = -1;
+    this._mapId = 0;
+};
+
+Game_Clock.prototype.start = function() {
+    this._running = true;
+};
+
+Game_Clock.prototype.stop = function() {
+    this._running = false;
+};
+
+Game_Clock.prototype.isRunning = function() {
+    return this._running;
+};
+
+Game_Clock.prototype.setTinting = function(tinting) {
+    this._tinting = tinting;
+};
+
+Game_Clock.prototype.isTinting = function() {
+    return this._tinting;
+};
+
+// The number of game minutes that pass in one real second.
+Game_Clock.prototype.speed = function() {
+    return this._speed;
+};
+
+Game_Clock.prototype.setSpeed = function(speed) {
+    this._speed = speed;
+};
+
+Game_Clock.prototype.day = function() {
+    return Math.floor(this._minutes / Game_Clock.MINUTES_PER_DAY);
+};
+
+Game_Clock.prototype.hour = function() {
+    return Math.floor(this.minutesOfDay() / 60);
+};
+
+Game_Clock.prototype.minute = function() {
+    return Math.floor(this.minutesOfDay() % 60);
+};
+
+Game_Clock.prototype.minutesOfDay = function() {
+    return this._minutes % Game_Clock.MINUTES_PER_DAY;
+};
+
+Game_Clock.prototype.setTime = function(hour, minute) {
+    var minutes = this.day() * Game_Clock.MINUTES_PER_DAY + hour * 60 + minute;
+    this._minutes = Math.max(minutes, 0);
+    this.onTimeChange();
+};
+
+Game_Clock.prototype.addMinutes = function(minutes) {
+    this._minutes = Math.max(this._minutes + minutes, 0);
+    this.onTimeChange();
+};
+
+Game_Clock.prototype.isTimeBetween = function(from, to) {
+    var time = this.minutesOfDay();
+    if (from <= to) {
+        return time >= from && time < to;
+    } else {
+        return time >= from || time < to;
+    }
+};
+
+Game_Clock.prototype.setVariables = function(dayVariableId, hourVariableId, minuteVariableId) {
+    this._dayVariableId = dayVariableId;
+    this._hourVariableId = hourVariableId;
+    this._minuteVariableId = minuteVariableId;
+    this.refreshVariables();
+};
+
+Game_Clock.prototype.update = function(sceneActive) {
+    if (sceneActive && this._running) {
+        var lastMinute = Math.floor(this._minutes);
+        this._minutes += this._speed / 60;
+        if (Math.floor(this._minutes) !== lastMinute) {
+            this.onTimeChange(lastMinute);
+        }
+    }
+    this.updateTone();
+};
+
+// Pages only depend on the time through <time:> conditions and the clock
+// variables, which refresh the map themselves when they change. So as time
+// passes the map is refreshed only when a <time:> boundary is passed. Setting
+// the time always refreshes it.
+Game_Clock.prototype.onTimeChange = function(lastMinutes) {
+    this.refreshVariables();
+    if (lastMinutes === undefined || this.isBoundaryPassed(lastMinutes)) {
+        $gameMap.requestRefresh();
+    }
+};
+
+Game_Clock.prototype.isBoundaryPassed = function(lastMinutes) {
+    var day = Game_Clock.MINUTES_PER_DAY;
+    var elapsed = Math.floor(this._minutes) - lastMinutes;
+    if (elapsed >= day) {
+        return true;
+    }
+    return $gameMap.timeBoundaries().some(function(time) {
+        var distance = (time - lastMinutes % day + day) % day;
+        return distance > 0 && distance <= elapsed;
+    });
+};
+
+Game_Clock.prototype.refreshVariables = function() {
+    this.refreshVariable(this._dayVariableId, this.day());
+    this.refreshVariable(this._hourVariableId, this.hour());
+    this.refreshVariable(this._minuteVariableId, this.minute());
+};
+
+// Only a changed value is set, since setting one refreshes the map.
+Game_Clock.prototype.refreshVariable = function(variableId, value) {
+    if (variableId > 0 && $gameVariables.value(variableId) !== value) {
+        $gameVariables.setValue(variableId, value);
+    }
+};
+
+// Each phase tints the screen from its hour until the next phase begins.
+Game_Clock.prototype.phases = function() {
+    return [
+        { hour: 0,  tone: [-68, -68, 0, 68] },
+        { hour: 5,  tone: [-34, -34, -17, 34] },
+        { hour: 7,  tone: [0, 0, 0, 0] },
+        { hour: 17, tone: [34, -17, -34, 0] },
+        { hour: 19, tone: [-68, -68, 0, 68] }
+    ];
+};
+
+Game_Clock.prototype.currentPhaseIndex = function() {
+    var phases = this.phases();
+    var hour = this.hour();
+    for (var i = phases.length - 1; i > 0; i--) {
+        if (hour >= phases[i].hour) {
+            return i;
+        }
+    }
+    return 0;
+};
+
+Game_Clock.prototype.isToneEnabled = function() {
+    return this._tinting && !!$dataMap && !$dataMap.meta.noDayNight;
+};
+
+Game_Clock.prototype.toneDuration = function() {
+    return 120;
+};
+
+Game_Clock.prototype.updateTone = function() {
+    var index = this.isToneEnabled() ? this.currentPhaseIndex() : -1;
+    if (index !== this._phaseIndex) {
+        var duration = this._mapId === $gameMap.mapId() ? this.toneDuration() : 0;
+        var tone = index >= 0 ? this.phases()[index].tone : [0, 0, 0, 0];
+        $gameScreen.startTint(tone.clone(), duration);
+        this._phaseIndex = index;
+    }
+    this._mapId = $gameMap.mapId();
+};
+
+Game_Clock.parseTime = function(text) {
+    var parts = String(text).split(':');
+    return Number(parts[0]) * 60 + Number(parts[1] || 0);
+};
\ No newline at end of file
@@ -0,0 +1,113 @@
+//-----------------------------------------------------------------------------
+// Game_Container
+//
+// The game object class for an item storage separate from the party, such as
+// a bank or a stash. capacity limits the number of different items it holds
+// and stackLimit the number of each item; 0 means no limit on capacity.
+
+function Game_Container() {
+    this.initialize.apply(this, arguments);
+}
+
+Game_Container.prototype.initialize = function(capacity, stackLimit) {
+    this._items = {};
+    this._weapons = {};
+    this._armors = {};
+    this.setLimits(capacity, stackLimit);
+};
+
+Game_Container.prototype.setLimits = function(capacity, stackLimit) {
+    this._capacity = capacity || 0;
+    this._stackLimit = stackLimit || 99;
+};
+
+Game_Container.prototype.capacity = function() {
+    return this._capacity;
+};
+
+Game_Container.prototype.stackLimit = function() {
+    return this._stackLimit;
+};
+
+Game_Container.prototype.items = function() {
+    return Object.keys(this._items).map(function(id) {
+        return $dataItems[id];
+    });
+};
+
+Game_Container.prototype.weapons = function() {
+    return Object.keys(this._weapons).map(function(id) {
+        return $dataWeapons[id];
+    });
+};
+
+Game_Container.prototype.armors = function() {
+    return Object.keys(this._armors).map(function(id) {
+        return $dataArmors[id];
+    });
+};
+
+Game_Container.prototype.allItems = function() {
+    return this.items().concat(this.weapons(), this.armors());
+};
+
+Game_Container.prototype.itemContainer = function(item) {
+    if (!item) {
+        return null;
+    } else if (DataManager.isItem(item)) {
+        return this._items;
+    } else if (DataManager.isWeapon(item)) {
+        return this._weapons;
+    } else if (DataManager.isArmor(item)) {
+        return this._armors;
+    } else {
+        return null;
+    }
+};
+
+Game_Container.prototype.numItems = function(item) {
+    var container = this.itemContainer(item);
+    return container ? container[item.id] || 0 : 0;
+};
+
+Game_Container.prototype.maxItems = function(item) {
+    return this._stackLimit;
+};
+
+Game_Container.prototype.usedSlots = function() {
+    return (Object.keys(this._items).length +
+            Object.keys(this._weapons).length +
+            Object.keys(this._armors).length);
+};
+
+Game_Container.prototype.isFull = function() {
+    return this._capacity > 0 && this.usedSlots() >= this._capacity;
+};
+
+Game_Container.prototype.maxStore = function(item) {
+    if (!this.itemContainer(item)) {
+        return 0;
+    } else if (this.numItems(item) === 0 && this.isFull()) {
+        return 0;
+    } else {
+        return Math.max(this.maxItems(item) - this.numItems(item), 0);
+    }
+};
+
+Game_Container.prototype.gainItem = function(item, amount) {
+    var container = this.itemContainer(item);
+    if (container) {
+        if (amount > 0) {
+            amount = Math.min(amount, this.maxStore(item));
+        }
+        var newNumber = this.numItems(item) + amount;
+        container[item.id] = newNumber.clamp(0, this.maxItems(item));
+        if (container[item.id] === 0) {
+            delete container[item.id];
+        }
+    }
+};
+
+Game_Container.prototype.loseItem = function(item, amount) {
+    this.gainItem(item, -amount);
+};
\ No newline at end of file
@@ -76,8 +76,9 @@ Game_Enemy.prototype.gold = function() {
 };
 
 Game_Enemy.prototype.makeDropItems = function() {
-    return this.enemy().dropItems.reduce(function(r, di) {
-        if (di.kind > 0 && Math.random() * di.denominator < this.dropItemRate()) {
+    return this.enemy().dropItems.reduce(function(r, di, index) {
+        if (di.kind > 0 && $gameRandom.random('drop') * di.denominator < this.dropItemRate()) {
+            $gameSystem.onEnemyDrop(this.enemyId(), index);
             return r.concat(this.itemObject(di.kind, di.dataId));
         } else {
             return r;
@@ -188,6 +189,23 @@ Game_Enemy.prototype.transform = function(enemyId) {
     if (this.numActions() > 0) {
         this.makeActions();
     }
+    this.recordEncounter();
+};
+
+Game_Enemy.prototype.onBattleStart = function() {
+    Game_Battler.prototype.onBattleStart.call(this);
+    this.recordEncounter();
+};
+
+Game_Enemy.prototype.appear = function() {
+    Game_Battler.prototype.appear.call(this);
+    this.recordEncounter();
+};
+
+Game_Enemy.prototype.recordEncounter = function() {
+    if (this.isAppeared() && $gameParty.inBattle()) {
+        $gameSystem.onEnemyEncounter(this.enemyId());
+    }
 };
 
 Game_Enemy.prototype.meetsCondition = function(action) {
@@ -241,7 +259,9 @@ Game_Enemy.prototype.meetsSwitchCondition = function(param) {
 };
 
 Game_Enemy.prototype.isActionValid = function(action) {
-    return this.meetsCondition(action) && this.canUse($dataSkills[action.skillId]);
+    return (this.meetsCondition(action) &&
+            EnemyAIManager.meetsConditions(this, action) &&
+            this.canUse($dataSkills[action.skillId]));
 };
 
 Game_Enemy.prototype.selectAction = function(actionList, ratingZero) {
@@ -249,7 +269,7 @@ Game_Enemy.prototype.selectAction = function(actionList, ratingZero) {
         return r + a.rating - ratingZero;
     }, 0);
     if (sum > 0) {
-        var value = Math.randomInt(sum);
+        var value = $gameRandom.randomInt('enemy', sum);
         for (var i = 0; i < actionList.length; i++) {
             var action = actionList[i];
             value -= action.rating - ratingZero;
@@ -266,12 +286,13 @@ Game_Enemy.prototype.selectAllActions = function(actionList) {
     var ratingMax = Math.max.apply(null, actionList.map(function(a) {
         return a.rating;
     }));
-    var ratingZero = ratingMax - 3;
+    var ratingZero = ratingMax - EnemyAIManager.ratingRange(this);
     actionList = actionList.filter(function(a) {
         return a.rating > ratingZero;
     });
     for (var i = 0; i < this.numActions(); i++) {
         this.action(i).setEnemyAction(this.selectAction(actionList, ratingZero));
+        EnemyAIManager.decideTarget(this, this.action(i));
     }
 };
 
@@ -231,9 +231,56 @@ Game_Event.prototype.meetsConditions = function(page) {
             return false;
         }
     }
+    if (!this.meetsTimeCondition(page)) {
+        return false;
+    }
     return true;
 };
 
+Game_Event.prototype.meetsTimeCondition = function(page) {
+    var condition = this.pageTimeCondition(page);
+    return !condition || $gameClock.isTimeBetween(condition.from, condition.to);
+};
+
+// A <time:from to> tag in the comments at the top of the page, such as
+// <time:18:30 6:00>, limits the page to that time of day on the game clock.
+// The result is kept on the page data, like its meta.
+Game_Event.prototype.pageTimeCondition = function(page) {
+    if (page.timeCondition === undefined) {
+        var match = /<time:\s*(\S+)\s+([^>\s]+)\s*>/i.exec(this.pageComment(page));
+        page.timeCondition = match ? {
+            from: Game_Clock.parseTime(match[1]),
+            to: Game_Clock.parseTime(match[2])
+        } : null;
+    }
+    return page.timeCondition;
+};
+
+// The times of day at which a page of this event can start or stop meeting
+// its conditions.
+Game_Event.prototype.timeBoundaries = function() {
+    var times = [];
+    this.event().pages.forEach(function(page) {
+        var condition = this.pageTimeCondition(page);
+        if (condition) {
+            times.push(condition.from, condition.to);
+        }
+    }, this);
+    return times;
+};
+
+Game_Event.prototype.pageComment = function(page) {
+    var list = page.list;
+    var text = '';
+    for (var i = 0; i < list.length; i++) {
+        if (list[i].code !== 108 && list[i].code !== 408) {
+            break;
+        }
+        text += list[i].parameters[0] + '\n';
+    }
+    return text;
+};
+
 Game_Event.prototype.setupPage = function() {
     if (this._pageIndex >= 0) {
         this.setupPageSettings();
@@ -251,6 +298,8 @@ Game_Event.prototype.clearPageSettings = function() {
     this._trigger = null;
     this._interpreter = null;
     this.setThrough(true);
+    this.clearHitbox();
+    this.clearLight();
 };
 
 Game_Event.prototype.setupPageSettings = function() {
@@ -279,6 +328,8 @@ Game_Event.prototype.setupPageSettings = function() {
     this.setDirectionFix(page.directionFix);
     this.setThrough(page.through);
     this.setMoveRoute(page.moveRoute);
+    this.setupHitbox();
+    this.setupLight();
     this._moveType = page.moveType;
     this._trigger = page.trigger;
     if (this._trigger === 4) {
@@ -288,6 +339,33 @@ Game_Event.prototype.setupPageSettings = function() {
     }
 };
 
+Game_Event.prototype.setupHitbox = function() {
+    var tag = this.pageCommentTag('hitbox');
+    if (typeof tag === 'string') {
+        var values = tag.trim().split(/\s+/).map(Number);
+        this.setHitbox(values[0], values[1], values[2], values[3]);
+    } else {
+        this.clearHitbox();
+    }
+};
+
+Game_Event.prototype.setupLight = function() {
+    var tag = this.pageCommentTag('light');
+    if (typeof tag === 'string') {
+        this.setLight($gameMap.parseLight(tag));
+    } else {
+        this.clearLight();
+    }
+};
+
+// A tag such as <hitbox:x y width height> in the comments at the top of the
+// page overrides the one of the same name in the event's note.
+Game_Event.prototype.pageCommentTag = function(name) {
+    var regExp = new RegExp('<' + name + ':([^>]*)>', 'i');
+    var match = regExp.exec(this.pageComment(this.page()));
+    return match ? match[1] : this.event().meta[name];
+};
+
 Game_Event.prototype.isOriginalPattern = function() {
     return this.pattern() === this._originalPattern;
 };
@@ -1019,6 +1019,22 @@ Game_Interpreter.prototype.command205 = function() {
     return true;
 };
 
+Game_Interpreter.prototype.forcePathRoute = function(param, code, parameters, wait) {
+    $gameMap.refreshIfNeeded();
+    this._character = this.character(param);
+    if (this._character) {
+        this._character.forceMoveRoute({
+            list: [{ code: code, parameters: parameters }, { code: 0 }],
+            repeat: false,
+            skippable: false,
+            wait: wait
+        });
+        if (wait) {
+            this.setWaitMode('route');
+        }
+    }
+};
+
 // Getting On and Off Vehicles
 Game_Interpreter.prototype.command206 = function() {
     $gamePlayer.getOnOffVehicle();
@@ -1732,7 +1748,13 @@ Game_Interpreter.prototype.command355 = function() {
 Game_Interpreter.prototype.command356 = function() {
     var args = this._params[0].split(" ");
     var command = args.shift();
-    this.pluginCommand(command, args);
+    if (PluginManager.isCommandRegistered(command)) {
+        PluginManager.callCommand(this, command,
+            PluginManager.splitCommandText(this._params[0]).slice(1));
+    } else {
+        PluginManager.warnUnknownCommand(command);
+        this.pluginCommand(command, args);
+    }
     return true;
 };
 
@@ -1865,4 +1887,218 @@ Game_Interpreter.requestImages = function(list, commonList){
                 break;
         }
     });
-};
\ No newline at end of file
+};
+
+// Battle commands, e.g. "Battle.system atb" switches to active time battles.
+PluginManager.registerCommand('Battle', 'system', [
+    { name: 'battleSystem', type: 'select', options: ['turn', 'atb', 'ctb'] }
+], function(args) {
+    $gameSystem.setBattleSystem(args.battleSystem);
+});
+
+// Quest commands, e.g. "Quest.advance 3 0 1" adds 1 to objective 0 of quest 3.
+PluginManager.registerCommand('Quest', 'start', [
+    { name: 'questId', type: 'number' }
+], function(args) {
+    $gameQuests.start(args.questId);
+});
+
+PluginManager.registerCommand('Quest', 'advance', [
+    { name: 'questId', type: 'number' },
+    { name: 'objective', type: 'number' },
+    { name: 'amount', type: 'number', default: 1 }
+], function(args) {
+    $gameQuests.advance(args.questId, args.objective, args.amount);
+});
+
+PluginManager.registerCommand('Quest', 'complete', [
+    { name: 'questId', type: 'number' }
+], function(args) {
+    $gameQuests.complete(args.questId);
+});
+
+PluginManager.registerCommand('Quest', 'fail', [
+    { name: 'questId', type: 'number' }
+], function(args) {
+    $gameQuests.fail(args.questId);
+});
+
+// Opens the craft screen, e.g. "Craft.open [1,2,5]" or "Craft.open" for every
+// recipe.
+PluginManager.registerCommand('Craft', 'open', [
+    { name: 'recipeIds', type: 'array', items: 'number' }
+], function(args) {
+    if (!$gameParty.inBattle()) {
+        SceneManager.push(Scene_Craft);
+        SceneManager.prepareNextScene(args.recipeIds);
+    }
+});
+
+// Storage commands, e.g. "Storage.setup Bank 50 999" creates a container with
+// 50 slots of up to 999 items each, and "Storage.open Bank" opens it.
+PluginManager.registerCommand('Storage', 'setup', [
+    { name: 'name', type: 'string' },
+    { name: 'capacity', type: 'number', min: 0 },
+    { name: 'stackLimit', type: 'number', default: 99, min: 1 }
+], function(args) {
+    $gameParty.setupContainer(args.name, args.capacity, args.stackLimit);
+});
+
+PluginManager.registerCommand('Storage', 'open', [
+    { name: 'name', type: 'string' }
+], function(args) {
+    if (!$gameParty.inBattle()) {
+        SceneManager.push(Scene_Storage);
+        SceneManager.prepareNextScene(args.name);
+    }
+});
+
+// Path commands, e.g. "Path.moveTo -1 10 5 true" walks the player to (10, 5)
+// and waits, and "Path.moveToEvent 0 3" walks this event up to event 3.
+PluginManager.registerCommand('Path', 'moveTo', [
+    { name: 'character', type: 'number' },
+    { name: 'x', type: 'number', min: 0 },
+    { name: 'y', type: 'number', min: 0 },
+    { name: 'wait', type: 'boolean', default: false }
+], function(args) {
+    this.forcePathRoute(args.character, Game_Character.ROUTE_MOVE_TO,
+                        [args.x, args.y], args.wait);
+});
+
+PluginManager.registerCommand('Path', 'moveToEvent', [
+    { name: 'character', type: 'number' },
+    { name: 'eventId', type: 'number' },
+    { name: 'wait', type: 'boolean', default: false }
+], function(args) {
+    var eventId = args.eventId === 0 ? this._eventId : args.eventId;
+    if ($gameMap.event(eventId)) {
+        this.forcePathRoute(args.character, Game_Character.ROUTE_MOVE_TO_CHARACTER,
+                            [eventId], args.wait);
+    }
+});
+
+// Movement commands, e.g. "Movement.pixel true" turns on free movement for the
+// player and "Movement.hitbox -1 8 16 32 32" sets the player's collision box
+// in pixels from the top left of its tile.
+PluginManager.registerCommand('Movement', 'pixel', [
+    { name: 'enabled', type: 'boolean', default: true }
+], function(args) {
+    $gameSystem.setPixelMovement(args.enabled);
+});
+
+PluginManager.registerCommand('Movement', 'hitbox', [
+    { name: 'character', type: 'number' },
+    { name: 'x', type: 'number' },
+    { name: 'y', type: 'number' },
+    { name: 'width', type: 'number', min: 1 },
+    { name: 'height', type: 'number', min: 1 }
+], function(args) {
+    var character = this.character(args.character);
+    if (character) {
+        character.setHitbox(args.x, args.y, args.width, args.height);
+    }
+});
+
+// Area trigger commands, e.g. "Area.region lake 3 5 6" runs common event 5 when
+// the player steps onto region 3 and common event 6 when stepping off it, and
+// "Area.rect gate 10 4 2 1 0 0 onGate" calls the registered callback "onGate"
+// on every step inside the 2x1 rectangle at (10, 4).
+PluginManager.registerCommand('Area', 'region', [
+    { name: 'id', type: 'string' },
+    { name: 'regionId', type: 'number', min: 1, max: 255 },
+    { name: 'enter', type: 'string', default: '' },
+    { name: 'leave', type: 'string', default: '' },
+    { name: 'stay', type: 'string', default: '' }
+], function(args) {
+    $gameMap.addAreaTrigger(args.id, { regionId: args.regionId }, args);
+});
+
+PluginManager.registerCommand('Area', 'rect', [
+    { name: 'id', type: 'string' },
+    { name: 'x', type: 'number', min: 0 },
+    { name: 'y', type: 'number', min: 0 },
+    { name: 'width', type: 'number', min: 1 },
+    { name: 'height', type: 'number', min: 1 },
+    { name: 'enter', type: 'string', default: '' },
+    { name: 'leave', type: 'string', default: '' },
+    { name: 'stay', type: 'string', default: '' }
+], function(args) {
+    $gameMap.addAreaTrigger(args.id, args, args);
+});
+
+PluginManager.registerCommand('Area', 'remove', [
+    { name: 'id', type: 'string' }
+], function(args) {
+    $gameMap.removeAreaTrigger(args.id);
+});
+
+// Clock commands, e.g. "Clock.set 18 30" sets the time to 18:30, "Clock.speed 2"
+// makes two game minutes pass per second and "Clock.variables 1 2 3" keeps the
+// day, hour and minute in variables 1 to 3.
+PluginManager.registerCommand('Clock', 'start', [], function() {
+    $gameClock.start();
+});
+
+PluginManager.registerCommand('Clock', 'stop', [], function() {
+    $gameClock.stop();
+});
+
+PluginManager.registerCommand('Clock', 'tint', [
+    { name: 'enabled', type: 'boolean', default: true }
+], function(args) {
+    $gameClock.setTinting(args.enabled);
+});
+
+PluginManager.registerCommand('Clock', 'set', [
+    { name: 'hour', type: 'number', min: 0, max: 23 },
+    { name: 'minute', type: 'number', default: 0, min: 0, max: 59 }
+], function(args) {
+    $gameClock.setTime(args.hour, args.minute);
+});
+
+PluginManager.registerCommand('Clock', 'add', [
+    { name: 'minutes', type: 'number' }
+], function(args) {
+    $gameClock.addMinutes(args.minutes);
+});
+
+PluginManager.registerCommand('Clock', 'speed', [
+    { name: 'speed', type: 'number', min: 0 }
+], function(args) {
+    $gameClock.setSpeed(args.speed);
+});
+
+PluginManager.registerCommand('Clock', 'variables', [
+    { name: 'dayVariableId', type: 'number', min: 0 },
+    { name: 'hourVariableId', type: 'number', default: 0, min: 0 },
+    { name: 'minuteVariableId', type: 'number', default: 0, min: 0 }
+], function(args) {
+    $gameClock.setVariables(args.dayVariableId, args.hourVariableId, args.minuteVariableId);
+});
+
+// Light commands, e.g. "Light.darkness 192" darkens the map, "Light.darkness -1"
+// goes back to the map's <darkness> tag and "Light.character -1 144 #ffcc88 0.1 60"
+// gives the player a flickering cone of warm light. A radius of 0 removes it.
+PluginManager.registerCommand('Light', 'darkness', [
+    { name: 'darkness', type: 'number', min: -1, max: 255 }
+], function(args) {
+    $gameMap.setDarkness(args.darkness >= 0 ? args.darkness : null);
+});
+
+PluginManager.registerCommand('Light', 'character', [
+    { name: 'character', type: 'number' },
+    { name: 'radius', type: 'number', min: 0 },
+    { name: 'color', type: 'string', default: '#ffffff' },
+    { name: 'flicker', type: 'number', default: 0, min: 0, max: 1 },
+    { name: 'angle', type: 'number', default: 0, min: 0, max: 360 }
+], function(args) {
+    var character = this.character(args.character);
+    if (character) {
+        character.setLight({
+            radius: args.radius,
+            color: args.color,
+            flicker: args.flicker,
+            angle: args.angle
+        });
+    }
+});
\ No newline at end of file
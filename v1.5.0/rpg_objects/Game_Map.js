@@ -31,6 +31,9 @@ Game_Map.prototype.initialize = function() {
     this._parallaxY = 0;
     this._battleback1Name = null;
     this._battleback2Name = null;
+    this._areaTriggers = {};
+    this._areaStates = {};
+    this._darkness = null;
     this.createVehicles();
 };
 
@@ -38,6 +41,11 @@ Game_Map.prototype.setup = function(mapId) {
     if (!$dataMap) {
         throw new Error('The map data is not available');
     }
+    if (this._mapId !== mapId) {
+        this._areaStates = {};
+        this._darkness = null;
+    }
+    this._timeBoundaries = null;
     this._mapId = mapId;
     this._tilesetId = $dataMap.tilesetId;
     this._displayX = 0;
@@ -48,6 +56,7 @@ Game_Map.prototype.setup = function(mapId) {
     this.setupParallax();
     this.setupBattleback();
     this._needsRefresh = false;
+    PathfindingManager.clearCache();
 };
 
 Game_Map.prototype.isEventRunning = function() {
@@ -610,6 +619,59 @@ Game_Map.prototype.regionId = function(x, y) {
     return this.isValid(x, y) ? this.tileId(x, y, 5) : 0;
 };
 
+// The times of day at which an event page with a <time:> condition may change.
+Game_Map.prototype.timeBoundaries = function() {
+    if (!this._timeBoundaries) {
+        this._timeBoundaries = [];
+        this.events().forEach(function(event) {
+            this._timeBoundaries = this._timeBoundaries.concat(event.timeBoundaries());
+        }, this);
+    }
+    return this._timeBoundaries;
+};
+
+// The darkness of the lighting layer from 0 to 255, given by a <darkness:n>
+// map note tag unless it has been changed on this map.
+Game_Map.prototype.darkness = function() {
+    if (this._darkness !== null && this._darkness !== undefined) {
+        return this._darkness;
+    }
+    return Number(($dataMap && $dataMap.meta.darkness) || 0);
+};
+
+Game_Map.prototype.setDarkness = function(darkness) {
+    this._darkness = darkness;
+};
+
+// Lights on every tile of a region, given by <regionLight:regionId light> map
+// note tags.
+Game_Map.prototype.regionLights = function() {
+    var lights = [];
+    var re = /<regionLight:\s*(\d+)\s+([^>]*)>/gi;
+    var note = ($dataMap && $dataMap.note) || '';
+    for (;;) {
+        var match = re.exec(note);
+        if (!match) {
+            break;
+        }
+        lights.push({ regionId: Number(match[1]), light: this.parseLight(match[2]) });
+    }
+    return lights;
+};
+
+// Parses "radius color flicker angle", such as "144 #ffcc88 0.1". flicker is
+// how much the radius may shrink at random from 0 to 1, and a nonzero angle in
+// degrees makes a cone facing the character's direction.
+Game_Map.prototype.parseLight = function(text) {
+    var args = String(text).trim().split(/\s+/);
+    return {
+        radius: Number(args[0]) || 0,
+        color: args[1] || '#ffffff',
+        flicker: Number(args[2]) || 0,
+        angle: Number(args[3]) || 0
+    };
+};
+
 Game_Map.prototype.startScroll = function(direction, distance, speed) {
     this._scrollDirection = direction;
     this._scrollRest = distance;
@@ -691,6 +753,7 @@ Game_Map.prototype.updateParallax = function() {
 
 Game_Map.prototype.changeTileset = function(tilesetId) {
     this._tilesetId = tilesetId;
+    PathfindingManager.clearCache();
     this.refresh();
 };
 
@@ -790,4 +853,107 @@ Game_Map.prototype.isAnyEventStarting = function() {
     return this.events().some(function(event) {
         return event.isStarting();
     });
-};
\ No newline at end of file
+};
+
+// Area triggers fire when the player steps into, out of or within an area
+// given by a region ID or a rectangle of tiles. Each handler is either a
+// common event ID or the name of a function registered with
+// Game_Map.registerAreaCallback, called with (trigger, type). IDs only need to
+// be unique within a map.
+Game_Map._areaCallbacks = {};
+
+Game_Map.registerAreaCallback = function(name, func) {
+    this._areaCallbacks[name] = func;
+};
+
+Game_Map.prototype.initAreaTriggers = function() {
+    if (!this._areaTriggers) {
+        this._areaTriggers = {};
+        this._areaStates = {};
+    }
+};
+
+Game_Map.prototype.areaTriggers = function() {
+    this.initAreaTriggers();
+    if (!this._areaTriggers[this._mapId]) {
+        this._areaTriggers[this._mapId] = {};
+    }
+    return this._areaTriggers[this._mapId];
+};
+
+Game_Map.prototype.areaTrigger = function(id) {
+    return this.areaTriggers()[id] || null;
+};
+
+Game_Map.prototype.addAreaTrigger = function(id, area, handlers) {
+    this.areaTriggers()[id] = {
+        id: id,
+        mapId: this._mapId,
+        regionId: area.regionId || 0,
+        x: area.x || 0,
+        y: area.y || 0,
+        width: area.width || 0,
+        height: area.height || 0,
+        enter: this.areaHandler(handlers.enter),
+        leave: this.areaHandler(handlers.leave),
+        stay: this.areaHandler(handlers.stay)
+    };
+    delete this._areaStates[id];
+};
+
+Game_Map.prototype.areaHandler = function(handler) {
+    if (typeof handler === 'string' && /^\d+$/.test(handler)) {
+        return Number(handler);
+    }
+    return handler || 0;
+};
+
+Game_Map.prototype.removeAreaTrigger = function(id) {
+    delete this.areaTriggers()[id];
+    delete this._areaStates[id];
+};
+
+Game_Map.prototype.isInArea = function(id) {
+    this.initAreaTriggers();
+    return !!this._areaStates[id];
+};
+
+Game_Map.prototype.isAreaContains = function(trigger, x, y) {
+    if (trigger.regionId > 0) {
+        return this.regionId(x, y) === trigger.regionId;
+    } else {
+        return (x >= trigger.x && x < trigger.x + trigger.width &&
+                y >= trigger.y && y < trigger.y + trigger.height);
+    }
+};
+
+Game_Map.prototype.checkAreaTriggers = function(x, y) {
+    var triggers = this.areaTriggers();
+    for (var id in triggers) {
+        var trigger = triggers[id];
+        var wasInside = !!this._areaStates[id];
+        var inside = this.isAreaContains(trigger, x, y);
+        this._areaStates[id] = inside;
+        if (inside && !wasInside) {
+            this.runAreaHandler(trigger, 'enter');
+        } else if (!inside && wasInside) {
+            this.runAreaHandler(trigger, 'leave');
+        } else if (inside) {
+            this.runAreaHandler(trigger, 'stay');
+        }
+    }
+};
+
+Game_Map.prototype.runAreaHandler = function(trigger, type) {
+    var handler = trigger[type];
+    if (typeof handler === 'number' && handler > 0) {
+        $gameTemp.reserveCommonEvent(handler);
+    } else if (typeof handler === 'string') {
+        var func = Game_Map._areaCallbacks[handler];
+        if (func) {
+            func.call(this, trigger, type);
+        } else {
+            console.warn('Unknown area callback: ' + handler);
+        }
+    }
+};
@@ -26,6 +26,7 @@ Game_Party.prototype.initialize = function() {
     this._menuActorId = 0;
     this._targetActorId = 0;
     this._actors = [];
+    this._containers = {};
     this.initAllItems();
 };
 
@@ -125,6 +126,52 @@ Game_Party.prototype.itemContainer = function(item) {
     }
 };
 
+Game_Party.prototype.container = function(name) {
+    if (!this._containers) {
+        this._containers = {};
+    }
+    return this._containers[name] || null;
+};
+
+Game_Party.prototype.setupContainer = function(name, capacity, stackLimit) {
+    var container = this.container(name);
+    if (container) {
+        container.setLimits(capacity, stackLimit);
+    } else {
+        this._containers[name] = new Game_Container(capacity, stackLimit);
+    }
+    return this._containers[name];
+};
+
+Game_Party.prototype.maxDeposit = function(name, item) {
+    var container = this.container(name);
+    return container ? Math.min(this.numItems(item), container.maxStore(item)) : 0;
+};
+
+Game_Party.prototype.maxWithdraw = function(name, item) {
+    var container = this.container(name);
+    var space = this.maxItems(item) - this.numItems(item);
+    return container ? Math.max(Math.min(container.numItems(item), space), 0) : 0;
+};
+
+Game_Party.prototype.depositItem = function(name, item, amount) {
+    amount = Math.min(amount, this.maxDeposit(name, item));
+    if (amount > 0) {
+        this.loseItem(item, amount);
+        this.container(name).gainItem(item, amount);
+    }
+    return Math.max(amount, 0);
+};
+
+Game_Party.prototype.withdrawItem = function(name, item, amount) {
+    amount = Math.min(amount, this.maxWithdraw(name, item));
+    if (amount > 0) {
+        this.container(name).loseItem(item, amount);
+        this.gainItem(item, amount);
+    }
+    return Math.max(amount, 0);
+};
+
 Game_Party.prototype.setupStartingMembers = function() {
     this._actors = [];
     $dataSystem.partyMembers.forEach(function(actorId) {
@@ -257,6 +304,9 @@ Game_Party.prototype.gainItem = function(item, amount, includeEquip) {
         if (container[item.id] === 0) {
             delete container[item.id];
         }
+        if (amount > 0) {
+            $gameSystem.onItemObtain(item);
+        }
         if (includeEquip && newNumber < 0) {
             this.discardMembersEquip(item, -newNumber);
         }
@@ -284,6 +334,94 @@ Game_Party.prototype.consumeItem = function(item) {
     }
 };
 
+// Recipes from Recipes.json have a result and ingredients ({ kind, dataId,
+// amount } with kind 1 for items, 2 for weapons and 3 for armors), a gold
+// cost, and an optional switchId and skillId that must be on or learned.
+Game_Party.prototype.recipeItem = function(entry) {
+    return DataManager.itemByKind(entry.kind, entry.dataId);
+};
+
+Game_Party.prototype.recipeResult = function(recipe) {
+    return this.recipeItem(recipe.result);
+};
+
+Game_Party.prototype.isRecipeAvailable = function(recipe) {
+    if (recipe.switchId && !$gameSwitches.value(recipe.switchId)) {
+        return false;
+    }
+    if (recipe.skillId && !this.members().some(function(actor) {
+        return actor.hasSkill(recipe.skillId);
+    })) {
+        return false;
+    }
+    return !!this.recipeResult(recipe);
+};
+
+Game_Party.prototype.maxCraft = function(recipe) {
+    var result = this.recipeResult(recipe);
+    var costs = this.recipeCosts(recipe);
+    var max = Number.MAX_VALUE;
+    // The result may also be an ingredient, so only the net gain needs space.
+    var gain = (recipe.result.amount || 1) - this.recipeCost(costs, result);
+    if (gain > 0) {
+        max = Math.floor((this.maxItems(result) - this.numItems(result)) / gain);
+    }
+    if (recipe.gold > 0) {
+        max = Math.min(max, Math.floor(this.gold() / recipe.gold));
+    }
+    costs.forEach(function(cost) {
+        max = Math.min(max, cost.item ? Math.floor(this.numItems(cost.item) / cost.amount) : 0);
+    }, this);
+    return Math.max(max, 0);
+};
+
+// The ingredients of a recipe as { item, amount }, with the amounts of an item
+// listed more than once added together.
+Game_Party.prototype.recipeCosts = function(recipe) {
+    var costs = [];
+    (recipe.ingredients || []).forEach(function(ingredient) {
+        var item = this.recipeItem(ingredient);
+        var amount = ingredient.amount || 1;
+        var cost = costs.filter(function(cost) {
+            return cost.item === item;
+        })[0];
+        if (cost) {
+            cost.amount += amount;
+        } else {
+            costs.push({ item: item, amount: amount });
+        }
+    }, this);
+    return costs;
+};
+
+Game_Party.prototype.recipeCost = function(costs, item) {
+    return costs.reduce(function(sum, cost) {
+        return cost.item === item ? sum + cost.amount : sum;
+    }, 0);
+};
+
+Game_Party.prototype.canCraft = function(recipe, times) {
+    times = times || 1;
+    return (this.isRecipeAvailable(recipe) && times > 0 &&
+            times <= this.maxCraft(recipe));
+};
+
+Game_Party.prototype.craft = function(recipe, times) {
+    times = times || 1;
+    if (!this.canCraft(recipe, times)) {
+        return false;
+    }
+    (recipe.ingredients || []).forEach(function(ingredient) {
+        var item = this.recipeItem(ingredient);
+        this.loseItem(item, (ingredient.amount || 1) * times);
+    }, this);
+    if (recipe.gold > 0) {
+        this.loseGold(recipe.gold * times);
+    }
+    this.gainItem(this.recipeResult(recipe), (recipe.result.amount || 1) * times);
+    return true;
+};
+
 Game_Party.prototype.canUse = function(item) {
     return this.members().some(function(actor) {
         return actor.canUse(item);
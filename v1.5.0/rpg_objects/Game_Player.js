@@ -88,6 +88,9 @@ Game_Player.prototype.fadeType = function() {
 Game_Player.prototype.performTransfer = function() {
     if (this.isTransferring()) {
         this.setDirection(this._newDirection);
+        if (this._newMapId !== $gameMap.mapId() && $gameMap.mapId() > 0) {
+            $gameTemp.requestAutosave();
+        }
         if (this._newMapId !== $gameMap.mapId() || this._needsMapReload) {
             $gameMap.setup(this._newMapId);
             this._needsMapReload = false;
@@ -131,6 +134,16 @@ Game_Player.prototype.isNormal = function() {
     return this._vehicleType === 'walk' && !this.isMoveRouteForcing();
 };
 
+Game_Player.prototype.isPixelMovement = function() {
+    return $gameSystem.isPixelMovement() && this.isNormal() && !this.isJumping();
+};
+
+Game_Player.prototype.defaultHitbox = function() {
+    var tw = $gameMap.tileWidth();
+    var th = $gameMap.tileHeight();
+    return { x: tw / 6, y: th / 3, width: tw * 2 / 3, height: th * 2 / 3 };
+};
+
 Game_Player.prototype.isDashing = function() {
     return this._dashing;
 };
@@ -143,8 +156,20 @@ Game_Player.prototype.isCollided = function(x, y) {
     if (this.isThrough()) {
         return false;
     } else {
-        return this.pos(x, y) || this._followers.isSomeoneCollided(x, y);
+        return (this.pos(x, y) || this.isPixelCollided(x, y) ||
+                this._followers.isSomeoneCollided(x, y));
+    }
+};
+
+// With pixel movement the hitbox can also cover tiles next to the player's.
+Game_Player.prototype.isPixelCollided = function(x, y) {
+    if (!this.isPixelMovement()) {
+        return false;
     }
+    var tw = $gameMap.tileWidth();
+    var th = $gameMap.tileHeight();
+    var tile = { left: x * tw, top: y * th, right: (x + 1) * tw, bottom: (y + 1) * th };
+    return this.isRectOverlapped(tile, this.currentPixelRect());
 };
 
 Game_Player.prototype.centerX = function() {
@@ -174,11 +199,12 @@ Game_Player.prototype.increaseSteps = function() {
     if (this.isNormal()) {
         $gameParty.increaseSteps();
     }
+    $gameMap.checkAreaTriggers(this.x, this.y);
 };
 
 Game_Player.prototype.makeEncounterCount = function() {
     var n = $gameMap.encounterStep();
-    this._encounterCount = Math.randomInt(n) + Math.randomInt(n) + 1;
+    this._encounterCount = $gameRandom.randomInt('encounter', n) + $gameRandom.randomInt('encounter', n) + 1;
 };
 
 Game_Player.prototype.makeEncounterTroopId = function() {
@@ -191,7 +217,7 @@ Game_Player.prototype.makeEncounterTroopId = function() {
         }
     }, this);
     if (weightSum > 0) {
-        var value = Math.randomInt(weightSum);
+        var value = $gameRandom.randomInt('encounter', weightSum);
         for (var i = 0; i < encounterList.length; i++) {
             value -= encounterList[i].weight;
             if (value < 0) {
@@ -234,7 +260,9 @@ Game_Player.prototype.startMapEvent = function(x, y, triggers, normal) {
 };
 
 Game_Player.prototype.moveByInput = function() {
-    if (!this.isMoving() && this.canMove()) {
+    if (this.isPixelMovement()) {
+        this.moveByAnalogInput();
+    } else if (!this.isMoving() && this.canMove()) {
         var direction = this.getInputDirection();
         if (direction > 0) {
             $gameTemp.clearDestination();
@@ -249,6 +277,33 @@ Game_Player.prototype.moveByInput = function() {
     }
 };
 
+Game_Player.prototype.moveByAnalogInput = function() {
+    this._pixelMoving = false;
+    this._pixelStepped = false;
+    if (this.canMove()) {
+        var dx = Input.axisX;
+        var dy = Input.axisY;
+        if (dx !== 0 || dy !== 0) {
+            $gameTemp.clearDestination();
+        } else if ($gameTemp.isDestinationValid()) {
+            var tx = $gameTemp.destinationX() - this._realX;
+            var ty = $gameTemp.destinationY() - this._realY;
+            var length = Math.sqrt(tx * tx + ty * ty);
+            if (length > 0) {
+                var scale = Math.min(length / this.distancePerFrame(), 1) / length;
+                dx = tx * scale;
+                dy = ty * scale;
+            }
+        }
+        if (dx !== 0 || dy !== 0) {
+            var distance = this.distancePerFrame();
+            if (!this.movePixel(dx * distance, dy * distance)) {
+                $gameTemp.clearDestination();
+            }
+        }
+    }
+};
+
 Game_Player.prototype.canMove = function() {
     if ($gameMap.isEventRunning() || $gameMessage.isBusy()) {
         return false;
@@ -270,7 +325,7 @@ Game_Player.prototype.getInputDirection = function() {
 };
 
 Game_Player.prototype.executeMove = function(direction) {
-    this.moveStraight(direction);
+    this.moveInDirection(direction);
 };
 
 Game_Player.prototype.update = function(sceneActive) {
@@ -284,14 +339,21 @@ Game_Player.prototype.update = function(sceneActive) {
     Game_Character.prototype.update.call(this);
     this.updateScroll(lastScrolledX, lastScrolledY);
     this.updateVehicle();
-    if (!this.isMoving()) {
+    if (this.isPixelMovement()) {
+        this.updatePixelNonmoving();
+    } else if (!this.isMoving()) {
         this.updateNonmoving(wasMoving);
     }
     this._followers.update();
 };
 
+Game_Player.prototype.pixelStep = function(x, y) {
+    this._followers.updateMove();
+    Game_Character.prototype.pixelStep.call(this, x, y);
+};
+
 Game_Player.prototype.updateDashing = function() {
-    if (this.isMoving()) {
+    if (this.isMoving() && !this.isPixelMovement()) {
         return;
     }
     if (this.canMove() && !this.isInVehicle() && !$gameMap.isDashDisabled()) {
@@ -382,6 +444,12 @@ Game_Player.prototype.updateNonmoving = function(wasMoving) {
     }
 };
 
+Game_Player.prototype.updatePixelNonmoving = function() {
+    if (this._pixelStepped || !this.isMoving()) {
+        this.updateNonmoving(this._pixelStepped);
+    }
+};
+
 Game_Player.prototype.triggerAction = function() {
     if (this.canMove()) {
         if (this.triggerButtonAction()) {
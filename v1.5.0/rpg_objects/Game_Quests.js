@@ -0,0 +1,150 @@
+//-----------------------------------------------------------------------------
+// Game_Quests
+//
+// The game object class for the progress of the quests defined in Quests.json.
+// Each quest has a name, iconIndex, description, objectives ({ text, count })
+// and rewards ({ gold, exp, items: [{ kind, dataId, amount }] }).
+
+function Game_Quests() {
+    this.initialize.apply(this, arguments);
+}
+
+Game_Quests.prototype.initialize = function() {
+    this._data = {};
+};
+
+Game_Quests.prototype.quest = function(questId) {
+    return ($dataQuests && $dataQuests[questId]) || null;
+};
+
+Game_Quests.prototype.record = function(questId) {
+    return this._data[questId] || null;
+};
+
+Game_Quests.prototype.state = function(questId) {
+    var record = this.record(questId);
+    return record ? record.state : 'inactive';
+};
+
+Game_Quests.prototype.isStarted = function(questId) {
+    return !!this.record(questId);
+};
+
+Game_Quests.prototype.isActive = function(questId) {
+    return this.state(questId) === 'active';
+};
+
+Game_Quests.prototype.isCompleted = function(questId) {
+    return this.state(questId) === 'completed';
+};
+
+Game_Quests.prototype.isFailed = function(questId) {
+    return this.state(questId) === 'failed';
+};
+
+Game_Quests.prototype.objectives = function(questId) {
+    var quest = this.quest(questId);
+    return quest ? quest.objectives || [] : [];
+};
+
+Game_Quests.prototype.objectiveCount = function(questId, index) {
+    var objective = this.objectives(questId)[index];
+    return objective ? objective.count || 1 : 0;
+};
+
+Game_Quests.prototype.objectiveProgress = function(questId, index) {
+    var record = this.record(questId);
+    return record ? record.progress[index] || 0 : 0;
+};
+
+Game_Quests.prototype.isObjectiveComplete = function(questId, index) {
+    return (this.isStarted(questId) &&
+            this.objectiveProgress(questId, index) >= this.objectiveCount(questId, index));
+};
+
+Game_Quests.prototype.areObjectivesComplete = function(questId) {
+    return this.objectives(questId).every(function(objective, index) {
+        return this.isObjectiveComplete(questId, index);
+    }, this);
+};
+
+Game_Quests.prototype.questIds = function(state) {
+    return Object.keys(this._data).map(Number).filter(function(questId) {
+        return this.quest(questId) && (!state || this.state(questId) === state);
+    }, this);
+};
+
+Game_Quests.prototype.start = function(questId) {
+    if (this.quest(questId) && !this.isStarted(questId)) {
+        this._data[questId] = {
+            state: 'active',
+            progress: this.objectives(questId).map(function() {
+                return 0;
+            })
+        };
+        this.onChange();
+    }
+};
+
+Game_Quests.prototype.advance = function(questId, index, amount) {
+    if (amount === undefined) {
+        amount = 1;
+    }
+    this.setProgress(questId, index, this.objectiveProgress(questId, index) + amount);
+};
+
+Game_Quests.prototype.setProgress = function(questId, index, value) {
+    if (this.isActive(questId) && index < this.objectives(questId).length) {
+        var max = this.objectiveCount(questId, index);
+        this.record(questId).progress[index] = value.clamp(0, max);
+        this.onChange();
+    }
+};
+
+Game_Quests.prototype.complete = function(questId) {
+    if (this.isActive(questId)) {
+        this.record(questId).state = 'completed';
+        this.gainRewards(this.quest(questId));
+        this.onChange();
+    }
+};
+
+Game_Quests.prototype.fail = function(questId) {
+    if (this.isActive(questId)) {
+        this.record(questId).state = 'failed';
+        this.onChange();
+    }
+};
+
+Game_Quests.prototype.reset = function(questId) {
+    if (this.isStarted(questId)) {
+        delete this._data[questId];
+        this.onChange();
+    }
+};
+
+Game_Quests.prototype.gainRewards = function(quest) {
+    var rewards = quest.rewards || {};
+    if (rewards.gold) {
+        $gameParty.gainGold(rewards.gold);
+    }
+    if (rewards.exp) {
+        $gameParty.allMembers().forEach(function(actor) {
+            actor.gainExp(rewards.exp);
+        });
+    }
+    (rewards.items || []).forEach(function(reward) {
+        var item = this.rewardItem(reward);
+        if (item) {
+            $gameParty.gainItem(item, reward.amount || 1);
+        }
+    }, this);
+};
+
+Game_Quests.prototype.rewardItem = function(reward) {
+    return DataManager.itemByKind(reward.kind, reward.dataId);
+};
+
+Game_Quests.prototype.onChange = function() {
+    $gameMap.requestRefresh();
+};
\ No newline at end of file
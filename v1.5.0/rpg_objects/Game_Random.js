@@ -0,0 +1,65 @@
+//-----------------------------------------------------------------------------
+// Game_Random
+//
+// The game object class for random numbers. Each subsystem draws from its own
+// stream, so that one of them using more numbers does not shift the others.
+// The access method for this class is $gameRandom.
+
+function Game_Random() {
+    this.initialize.apply(this, arguments);
+}
+
+Game_Random.prototype.initialize = function(seed) {
+    if (seed === undefined) {
+        seed = Math.floor(Math.random() * 4294967296);
+    }
+    this.setSeed(seed);
+};
+
+Game_Random.prototype.seed = function() {
+    return this._seed;
+};
+
+Game_Random.prototype.setSeed = function(seed) {
+    this._seed = (Number(seed) || 0) >>> 0;
+    this._streams = {};
+};
+
+Game_Random.prototype.stream = function(name) {
+    if (!this._streams[name]) {
+        this._streams[name] = new RandomGenerator(this.streamSeed(name));
+    }
+    return this._streams[name];
+};
+
+Game_Random.prototype.streamSeed = function(name) {
+    var hash = this._seed ^ 0x811c9dc5;
+    for (var i = 0; i < name.length; i++) {
+        hash ^= name.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+};
+
+Game_Random.prototype.random = function(name) {
+    return this.stream(name).random();
+};
+
+Game_Random.prototype.randomInt = function(name, max) {
+    return this.stream(name).randomInt(max);
+};
+
+Game_Random.prototype.makeSnapshot = function() {
+    var states = {};
+    for (var name in this._streams) {
+        states[name] = this._streams[name].state();
+    }
+    return { seed: this._seed, states: states };
+};
+
+Game_Random.prototype.restoreSnapshot = function(snapshot) {
+    this.setSeed(snapshot.seed);
+    for (var name in snapshot.states) {
+        this.stream(name).setState(snapshot.states[name]);
+    }
+};
\ No newline at end of file
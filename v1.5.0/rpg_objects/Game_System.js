@@ -26,6 +26,10 @@ Game_System.prototype.initialize = function() {
     this._defeatMe = null;
     this._savedBgm = null;
     this._walkingBgm = null;
+    this._battleSystem = 'turn';
+    this._pixelMovement = false;
+    this._enemyRecords = {};
+    this._obtainedItems = { item: {}, weapon: {}, armor: {} };
 };
 
 Game_System.prototype.isJapanese = function() {
@@ -40,6 +44,30 @@ Game_System.prototype.isKorean = function() {
     return $dataSystem.locale.match(/^ko/);
 };
 
+Game_System.prototype.battleSystem = function() {
+    return this._battleSystem || 'turn';
+};
+
+Game_System.prototype.setBattleSystem = function(battleSystem) {
+    this._battleSystem = battleSystem;
+};
+
+Game_System.prototype.isAtb = function() {
+    return this.battleSystem() === 'atb';
+};
+
+Game_System.prototype.isCtb = function() {
+    return this.battleSystem() === 'ctb';
+};
+
+Game_System.prototype.isPixelMovement = function() {
+    return !!this._pixelMovement;
+};
+
+Game_System.prototype.setPixelMovement = function(enabled) {
+    this._pixelMovement = enabled;
+};
+
 Game_System.prototype.isCJK = function() {
     return $dataSystem.locale.match(/^(ja|zh|ko)/);
 };
@@ -164,6 +192,77 @@ Game_System.prototype.onBattleEscape = function() {
     this._escapeCount++;
 };
 
+Game_System.prototype.enemyRecord = function(enemyId) {
+    if (!this._enemyRecords) {
+        this._enemyRecords = {};
+    }
+    return this._enemyRecords[enemyId] || null;
+};
+
+Game_System.prototype.onEnemyEncounter = function(enemyId) {
+    if (!this.enemyRecord(enemyId)) {
+        this._enemyRecords[enemyId] = { defeated: 0, drops: [] };
+    }
+    return this._enemyRecords[enemyId];
+};
+
+Game_System.prototype.onEnemyDefeat = function(enemyId) {
+    this.onEnemyEncounter(enemyId).defeated++;
+};
+
+Game_System.prototype.onEnemyDrop = function(enemyId, dropIndex) {
+    var drops = this.onEnemyEncounter(enemyId).drops;
+    if (!drops.contains(dropIndex)) {
+        drops.push(dropIndex);
+    }
+};
+
+Game_System.prototype.isEnemyEncountered = function(enemyId) {
+    return !!this.enemyRecord(enemyId);
+};
+
+Game_System.prototype.isEnemyDefeated = function(enemyId) {
+    return this.enemyDefeatCount(enemyId) > 0;
+};
+
+Game_System.prototype.enemyDefeatCount = function(enemyId) {
+    var record = this.enemyRecord(enemyId);
+    return record ? record.defeated : 0;
+};
+
+Game_System.prototype.isEnemyDropKnown = function(enemyId, dropIndex) {
+    var record = this.enemyRecord(enemyId);
+    return !!record && record.drops.contains(dropIndex);
+};
+
+Game_System.prototype.itemCategory = function(item) {
+    if (DataManager.isItem(item)) {
+        return 'item';
+    } else if (DataManager.isWeapon(item)) {
+        return 'weapon';
+    } else if (DataManager.isArmor(item)) {
+        return 'armor';
+    } else {
+        return null;
+    }
+};
+
+Game_System.prototype.onItemObtain = function(item) {
+    var category = this.itemCategory(item);
+    if (category) {
+        if (!this._obtainedItems) {
+            this._obtainedItems = { item: {}, weapon: {}, armor: {} };
+        }
+        this._obtainedItems[category][item.id] = true;
+    }
+};
+
+Game_System.prototype.isItemObtained = function(item) {
+    var category = this.itemCategory(item);
+    return !!(category && this._obtainedItems &&
+            this._obtainedItems[category][item.id]);
+};
+
 Game_System.prototype.onBeforeSave = function() {
     this._saveCount++;
     this._versionId = $dataSystem.versionId;
@@ -9,29 +9,43 @@ function Game_Temp() {
 
 Game_Temp.prototype.initialize = function() {
     this._isPlaytest = Utils.isOptionValid('test');
-    this._commonEventId = 0;
+    this._commonEventQueue = [];
     this._destinationX = null;
     this._destinationY = null;
+    this._autosaveRequested = false;
 };
 
 Game_Temp.prototype.isPlaytest = function() {
     return this._isPlaytest;
 };
 
+// Reserved common events run one after another in the order reserved.
 Game_Temp.prototype.reserveCommonEvent = function(commonEventId) {
-    this._commonEventId = commonEventId;
+    this._commonEventQueue.push(commonEventId);
 };
 
 Game_Temp.prototype.clearCommonEvent = function() {
-    this._commonEventId = 0;
+    this._commonEventQueue.shift();
 };
 
 Game_Temp.prototype.isCommonEventReserved = function() {
-    return this._commonEventId > 0;
+    return this._commonEventQueue.length > 0;
 };
 
 Game_Temp.prototype.reservedCommonEvent = function() {
-    return $dataCommonEvents[this._commonEventId];
+    return $dataCommonEvents[this._commonEventQueue[0]];
+};
+
+Game_Temp.prototype.requestAutosave = function() {
+    this._autosaveRequested = true;
+};
+
+Game_Temp.prototype.clearAutosaveRequest = function() {
+    this._autosaveRequested = false;
+};
+
+Game_Temp.prototype.isAutosaveRequested = function() {
+    return this._autosaveRequested;
 };
 
 Game_Temp.prototype.setDestination = function(x, y) {
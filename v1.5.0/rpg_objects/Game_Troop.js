@@ -179,6 +179,12 @@ Game_Troop.prototype.increaseTurn = function() {
     this._turnCount++;
 };
 
+Game_Troop.prototype.recordDefeats = function() {
+    this.deadMembers().forEach(function(enemy) {
+        $gameSystem.onEnemyDefeat(enemy.enemyId());
+    });
+};
+
 Game_Troop.prototype.expTotal = function() {
     return this.deadMembers().reduce(function(r, enemy) {
         return r + enemy.exp();
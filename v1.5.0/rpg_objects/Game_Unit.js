@@ -61,7 +61,7 @@ Game_Unit.prototype.tgrSum = function() {
 };
 
 Game_Unit.prototype.randomTarget = function() {
-    var tgrRand = Math.random() * this.tgrSum();
+    var tgrRand = $gameRandom.random('action') * this.tgrSum();
     var target = null;
     this.aliveMembers().forEach(function(member) {
         tgrRand -= member.tgr;
@@ -77,7 +77,7 @@ Game_Unit.prototype.randomDeadTarget = function() {
     if (members.length === 0) {
         return null;
     }
-    return members[Math.floor(Math.random() * members.length)];
+    return members[Math.floor($gameRandom.random('action') * members.length)];
 };
 
 Game_Unit.prototype.smoothTarget = function(index) {
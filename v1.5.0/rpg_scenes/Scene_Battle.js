@@ -43,9 +43,20 @@ Scene_Battle.prototype.updateBattleProcess = function() {
             BattleManager.isBattleEnd()) {
         BattleManager.update();
         this.changeInputWindow();
+    } else if (this.isActiveTime()) {
+        BattleManager.updateActiveTime();
+        if (!BattleManager.isInputting()) {
+            this.cancelInputWindows();
+        }
     }
 };
 
+Scene_Battle.prototype.isActiveTime = function() {
+    return (BattleManager.isActiveAtb() &&
+            !this._skillWindow.active &&
+            !this._itemWindow.active);
+};
+
 Scene_Battle.prototype.isAnyInputWindowActive = function() {
     return (this._partyCommandWindow.active ||
             this._actorCommandWindow.active ||
@@ -67,6 +78,17 @@ Scene_Battle.prototype.changeInputWindow = function() {
     }
 };
 
+Scene_Battle.prototype.cancelInputWindows = function() {
+    [this._skillWindow, this._itemWindow, this._actorWindow,
+            this._enemyWindow].forEach(function(window) {
+        window.hide();
+        window.deactivate();
+    });
+    this._partyCommandWindow.deactivate();
+    this._actorCommandWindow.deactivate();
+    this.endCommandSelection();
+};
+
 Scene_Battle.prototype.stop = function() {
     Scene_Base.prototype.stop.call(this);
     if (this.needsSlowFadeOut()) {
@@ -141,6 +163,7 @@ Scene_Battle.prototype.createSpriteset = function() {
 
 Scene_Battle.prototype.createAllWindows = function() {
     this.createLogWindow();
+    this.createTurnOrderWindow();
     this.createStatusWindow();
     this.createPartyCommandWindow();
     this.createActorCommandWindow();
@@ -158,6 +181,20 @@ Scene_Battle.prototype.createLogWindow = function() {
     this.addWindow(this._logWindow);
 };
 
+Scene_Battle.prototype.createTurnOrderWindow = function() {
+    if (BattleManager.isCtb()) {
+        this._turnOrderWindow = new Window_TurnOrder();
+        this._logWindow.y = this.windowTop();
+        this.addWindow(this._turnOrderWindow);
+    }
+};
+
+// The top of the area for the windows that would otherwise cover the turn
+// order.
+Scene_Battle.prototype.windowTop = function() {
+    return this._turnOrderWindow ? this._turnOrderWindow.height : 0;
+};
+
 Scene_Battle.prototype.createStatusWindow = function() {
     this._statusWindow = new Window_BattleStatus();
     this.addWindow(this._statusWindow);
@@ -183,6 +220,7 @@ Scene_Battle.prototype.createActorCommandWindow = function() {
 
 Scene_Battle.prototype.createHelpWindow = function() {
     this._helpWindow = new Window_Help();
+    this._helpWindow.y = this.windowTop();
     this._helpWindow.visible = false;
     this.addWindow(this._helpWindow);
 };
@@ -0,0 +1,36 @@
+//-----------------------------------------------------------------------------
+// Scene_Bestiary
+//
+// The scene class of the bestiary screen.
+
+function Scene_Bestiary() {
+    this.initialize.apply(this, arguments);
+}
+
+Scene_Bestiary.prototype = Object.create(Scene_MenuBase.prototype);
+Scene_Bestiary.prototype.constructor = Scene_Bestiary;
+
+Scene_Bestiary.prototype.initialize = function() {
+    Scene_MenuBase.prototype.initialize.call(this);
+};
+
+Scene_Bestiary.prototype.create = function() {
+    Scene_MenuBase.prototype.create.call(this);
+    this.createListWindow();
+    this.createStatusWindow();
+};
+
+Scene_Bestiary.prototype.createListWindow = function() {
+    this._listWindow = new Window_BestiaryList(0, 0, 240, Graphics.boxHeight);
+    this._listWindow.setHandler('cancel', this.popScene.bind(this));
+    this.addWindow(this._listWindow);
+};
+
+Scene_Bestiary.prototype.createStatusWindow = function() {
+    var wx = this._listWindow.width;
+    var ww = Graphics.boxWidth - wx;
+    this._statusWindow = new Window_BestiaryStatus(wx, 0, ww, Graphics.boxHeight);
+    this.addWindow(this._statusWindow);
+    this._listWindow.activate();
+    this._listWindow.setStatusWindow(this._statusWindow);
+};
\ No newline at end of file
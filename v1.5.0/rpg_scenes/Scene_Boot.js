@@ -18,7 +18,7 @@ Scene_Boot.prototype.initialize = function() {
 Scene_Boot.prototype.create = function() {
     Scene_Base.prototype.create.call(this);
     DataManager.loadDatabase();
-    ConfigManager.load();
+    StorageManager.setup();
     this.loadSystemWindowImage();
 };
 
@@ -41,7 +41,8 @@ Scene_Boot.loadSystemImages = function() {
 
 Scene_Boot.prototype.isReady = function() {
     if (Scene_Base.prototype.isReady.call(this)) {
-        return DataManager.isDatabaseLoaded() && this.isGameFontLoaded();
+        return (DataManager.isDatabaseLoaded() && StorageManager.isReady() &&
+                this.isGameFontLoaded());
     } else {
         return false;
     }
@@ -60,6 +61,7 @@ Scene_Boot.prototype.isGameFontLoaded = function() {
 
 Scene_Boot.prototype.start = function() {
     Scene_Base.prototype.start.call(this);
+    ConfigManager.load();
     SoundManager.preloadImportantSounds();
     if (DataManager.isBattleTest()) {
         DataManager.setupBattleTest();
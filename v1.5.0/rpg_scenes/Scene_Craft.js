@@ -0,0 +1,124 @@
+//-----------------------------------------------------------------------------
+// Scene_Craft
+//
+// The scene class of the craft screen.
+
+function Scene_Craft() {
+    this.initialize.apply(this, arguments);
+}
+
+Scene_Craft.prototype = Object.create(Scene_MenuBase.prototype);
+Scene_Craft.prototype.constructor = Scene_Craft;
+
+Scene_Craft.prototype.initialize = function() {
+    Scene_MenuBase.prototype.initialize.call(this);
+};
+
+// recipeIds lists the recipes from Recipes.json, or all of them if empty.
+Scene_Craft.prototype.prepare = function(recipeIds) {
+    if (recipeIds && recipeIds.length > 0) {
+        this._recipes = recipeIds.map(function(recipeId) {
+            return $dataRecipes[recipeId];
+        });
+    } else {
+        this._recipes = $dataRecipes.slice();
+    }
+    this._recipes = this._recipes.filter(function(recipe) {
+        return !!recipe;
+    });
+    this._recipe = null;
+};
+
+Scene_Craft.prototype.create = function() {
+    Scene_MenuBase.prototype.create.call(this);
+    this.createHelpWindow();
+    this.createListWindow();
+    this.createGoldWindow();
+    this.createNumberWindow();
+    this.createStatusWindow();
+};
+
+// The gold window fills the column to the right of the list, above the status.
+Scene_Craft.prototype.createGoldWindow = function() {
+    var wx = this._listWindow.width;
+    var wy = this._helpWindow.height;
+    this._goldWindow = new Window_Gold(wx, wy);
+    this._goldWindow.width = Graphics.boxWidth - wx;
+    this._goldWindow.createContents();
+    this._goldWindow.refresh();
+    this.addWindow(this._goldWindow);
+};
+
+Scene_Craft.prototype.createListWindow = function() {
+    var wy = this._helpWindow.height;
+    var wh = Graphics.boxHeight - wy;
+    this._listWindow = new Window_CraftList(0, wy, wh, this._recipes || []);
+    this._listWindow.setHelpWindow(this._helpWindow);
+    this._listWindow.setHandler('ok',     this.onListOk.bind(this));
+    this._listWindow.setHandler('cancel', this.popScene.bind(this));
+    this.addWindow(this._listWindow);
+};
+
+Scene_Craft.prototype.createNumberWindow = function() {
+    var wy = this._listWindow.y;
+    var wh = this._listWindow.height;
+    this._numberWindow = new Window_ShopNumber(0, wy, wh);
+    this._numberWindow.hide();
+    this._numberWindow.setHandler('ok',     this.onNumberOk.bind(this));
+    this._numberWindow.setHandler('cancel', this.onNumberCancel.bind(this));
+    this.addWindow(this._numberWindow);
+};
+
+Scene_Craft.prototype.createStatusWindow = function() {
+    var wx = this._listWindow.width;
+    var wy = this._goldWindow.y + this._goldWindow.height;
+    var ww = Graphics.boxWidth - wx;
+    var wh = Graphics.boxHeight - wy;
+    this._statusWindow = new Window_CraftStatus(wx, wy, ww, wh);
+    this.addWindow(this._statusWindow);
+    this._listWindow.activate();
+    this._listWindow.setStatusWindow(this._statusWindow);
+};
+
+Scene_Craft.prototype.activateListWindow = function() {
+    this._listWindow.refresh();
+    this._listWindow.show();
+    this._listWindow.activate();
+    this._statusWindow.setRecipe(this._listWindow.recipe());
+};
+
+Scene_Craft.prototype.onListOk = function() {
+    this._recipe = this._listWindow.recipe();
+    this._listWindow.hide();
+    this._numberWindow.setup(this._listWindow.item(), this.maxCraft(),
+                             this._recipe.gold || 0);
+    this._numberWindow.setCurrencyUnit(this._goldWindow.currencyUnit());
+    this._numberWindow.show();
+    this._numberWindow.activate();
+};
+
+Scene_Craft.prototype.onNumberOk = function() {
+    SoundManager.playShop();
+    this.doCraft(this._numberWindow.number());
+    this.endNumberInput();
+    this._goldWindow.refresh();
+    this._statusWindow.refresh();
+};
+
+Scene_Craft.prototype.onNumberCancel = function() {
+    SoundManager.playCancel();
+    this.endNumberInput();
+};
+
+Scene_Craft.prototype.doCraft = function(number) {
+    $gameParty.craft(this._recipe, number);
+};
+
+Scene_Craft.prototype.endNumberInput = function() {
+    this._numberWindow.hide();
+    this.activateListWindow();
+};
+
+Scene_Craft.prototype.maxCraft = function() {
+    return $gameParty.maxCraft(this._recipe);
+};
\ No newline at end of file
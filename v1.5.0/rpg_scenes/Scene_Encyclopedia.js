@@ -0,0 +1,51 @@
+//-----------------------------------------------------------------------------
+// Scene_Encyclopedia
+//
+// The scene class of the encyclopedia screen.
+
+function Scene_Encyclopedia() {
+    this.initialize.apply(this, arguments);
+}
+
+Scene_Encyclopedia.prototype = Object.create(Scene_MenuBase.prototype);
+Scene_Encyclopedia.prototype.constructor = Scene_Encyclopedia;
+
+Scene_Encyclopedia.prototype.initialize = function() {
+    Scene_MenuBase.prototype.initialize.call(this);
+};
+
+Scene_Encyclopedia.prototype.create = function() {
+    Scene_MenuBase.prototype.create.call(this);
+    this.createHelpWindow();
+    this.createCategoryWindow();
+    this.createItemWindow();
+};
+
+Scene_Encyclopedia.prototype.createCategoryWindow = function() {
+    this._categoryWindow = new Window_ItemCategory();
+    this._categoryWindow.setHelpWindow(this._helpWindow);
+    this._categoryWindow.y = this._helpWindow.height;
+    this._categoryWindow.setHandler('ok',     this.onCategoryOk.bind(this));
+    this._categoryWindow.setHandler('cancel', this.popScene.bind(this));
+    this.addWindow(this._categoryWindow);
+};
+
+Scene_Encyclopedia.prototype.createItemWindow = function() {
+    var wy = this._categoryWindow.y + this._categoryWindow.height;
+    var wh = Graphics.boxHeight - wy;
+    this._itemWindow = new Window_EncyclopediaList(0, wy, Graphics.boxWidth, wh);
+    this._itemWindow.setHelpWindow(this._helpWindow);
+    this._itemWindow.setHandler('cancel', this.onItemCancel.bind(this));
+    this.addWindow(this._itemWindow);
+    this._categoryWindow.setItemWindow(this._itemWindow);
+};
+
+Scene_Encyclopedia.prototype.onCategoryOk = function() {
+    this._itemWindow.activate();
+    this._itemWindow.selectLast();
+};
+
+Scene_Encyclopedia.prototype.onItemCancel = function() {
+    this._itemWindow.deselect();
+    this._categoryWindow.activate();
+};
\ No newline at end of file
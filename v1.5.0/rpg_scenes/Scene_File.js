@@ -27,7 +27,7 @@ Scene_File.prototype.start = function() {
 };
 
 Scene_File.prototype.savefileId = function() {
-    return this._listWindow.index() + 1;
+    return this._listWindow.savefileId(this._listWindow.index());
 };
 
 Scene_File.prototype.createHelpWindow = function() {
@@ -44,9 +44,9 @@ Scene_File.prototype.createListWindow = function() {
     this._listWindow = new Window_SavefileList(x, y, width, height);
     this._listWindow.setHandler('ok',     this.onSavefileOk.bind(this));
     this._listWindow.setHandler('cancel', this.popScene.bind(this));
+    this._listWindow.setMode(this.mode());
     this._listWindow.select(this.firstSavefileIndex());
     this._listWindow.setTopRow(this.firstSavefileIndex() - 2);
-    this._listWindow.setMode(this.mode());
     this._listWindow.refresh();
     this.addWindow(this._listWindow);
 };
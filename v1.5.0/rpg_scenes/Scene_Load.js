@@ -13,6 +13,33 @@ Scene_Load.prototype.constructor = Scene_Load;
 Scene_Load.prototype.initialize = function() {
     Scene_File.prototype.initialize.call(this);
     this._loadSuccess = false;
+    this._directSavefileId = 0;
+};
+
+// With a save file ID, the file is loaded as soon as the scene starts and the
+// list is not shown. Quickload uses this.
+Scene_Load.prototype.prepare = function(savefileId) {
+    this._directSavefileId = savefileId;
+};
+
+Scene_Load.prototype.create = function() {
+    Scene_File.prototype.create.call(this);
+    if (this.isDirectLoad()) {
+        this._helpWindow.hide();
+        this._listWindow.hide();
+        this._listWindow.deactivate();
+    }
+};
+
+Scene_Load.prototype.start = function() {
+    Scene_File.prototype.start.call(this);
+    if (this.isDirectLoad()) {
+        this.onSavefileOk();
+    }
+};
+
+Scene_Load.prototype.isDirectLoad = function() {
+    return this._directSavefileId > 0;
 };
 
 Scene_Load.prototype.terminate = function() {
@@ -31,7 +58,10 @@ Scene_Load.prototype.helpWindowText = function() {
 };
 
 Scene_Load.prototype.firstSavefileIndex = function() {
-    return DataManager.latestSavefileId() - 1;
+    if (this.isDirectLoad()) {
+        return this._listWindow.indexOf(this._directSavefileId);
+    }
+    return this._listWindow.indexOf(DataManager.latestSavefileId());
 };
 
 Scene_Load.prototype.onSavefileOk = function() {
@@ -45,6 +75,7 @@ Scene_Load.prototype.onSavefileOk = function() {
 
 Scene_Load.prototype.onLoadSuccess = function() {
     SoundManager.playLoad();
+    this.notifyRestoredBackup();
     this.fadeOutAll();
     this.reloadMapIfUpdated();
     SceneManager.goto(Scene_Map);
@@ -53,7 +84,20 @@ Scene_Load.prototype.onLoadSuccess = function() {
 
 Scene_Load.prototype.onLoadFailure = function() {
     SoundManager.playBuzzer();
-    this.activateListWindow();
+    if (this.isDirectLoad()) {
+        this.popScene();
+    } else {
+        this.activateListWindow();
+    }
+};
+
+Scene_Load.prototype.notifyRestoredBackup = function() {
+    var savefileId = this.savefileId();
+    if (StorageManager.isRestored(savefileId)) {
+        var name = this._listWindow.fileName(savefileId);
+        $gameMessage.add(TextManager.backupRestored.format(name));
+        StorageManager.clearRestored(savefileId);
+    }
 };
 
 Scene_Load.prototype.reloadMapIfUpdated = function() {
@@ -77,6 +77,7 @@ Scene_Map.prototype.updateMain = function() {
     $gameMap.update(active);
     $gamePlayer.update(active);
     $gameTimer.update(active);
+    $gameClock.update(active);
     $gameScreen.update();
 };
 
@@ -190,6 +191,12 @@ Scene_Map.prototype.updateScene = function() {
     if (!SceneManager.isSceneChanging()) {
         this.updateCallDebug();
     }
+    if (!SceneManager.isSceneChanging()) {
+        this.updateAutosave();
+    }
+    if (!SceneManager.isSceneChanging()) {
+        this.updateQuicksave();
+    }
 };
 
 Scene_Map.prototype.createDisplayObjects = function() {
@@ -279,6 +286,49 @@ Scene_Map.prototype.isDebugCalled = function() {
     return Input.isTriggered('debug') && $gameTemp.isPlaytest();
 };
 
+Scene_Map.prototype.updateAutosave = function() {
+    // A transfer made by an event is saved once the event has finished.
+    if ($gameTemp.isAutosaveRequested() && !$gamePlayer.isTransferring() &&
+            !$gameMap.isEventRunning()) {
+        $gameTemp.clearAutosaveRequest();
+        DataManager.autosave();
+    }
+};
+
+Scene_Map.prototype.updateQuicksave = function() {
+    if (this.isQuicksaveEnabled()) {
+        if (Input.isTriggered('quicksave')) {
+            this.quicksave();
+        } else if (Input.isTriggered('quickload')) {
+            this.quickload();
+        }
+    }
+};
+
+Scene_Map.prototype.isQuicksaveEnabled = function() {
+    return !$gameMap.isEventRunning() && !$gamePlayer.isMoving();
+};
+
+Scene_Map.prototype.quicksave = function() {
+    if (DataManager.quicksave()) {
+        SoundManager.playSave();
+    } else {
+        SoundManager.playBuzzer();
+    }
+};
+
+Scene_Map.prototype.quickload = function() {
+    if (DataManager.isThisGameFile(DataManager.quicksaveId())) {
+        SceneManager.push(Scene_Load);
+        SceneManager.prepareNextScene(DataManager.quicksaveId());
+        $gameTemp.clearDestination();
+        this._mapNameWindow.hide();
+        this._waitCount = 2;
+    } else {
+        SoundManager.playBuzzer();
+    }
+};
+
 Scene_Map.prototype.fadeInForTransfer = function() {
     var fadeType = $gamePlayer.fadeType();
     switch (fadeType) {
@@ -33,6 +33,9 @@ Scene_Menu.prototype.createCommandWindow = function() {
     this._commandWindow.setHandler('equip',     this.commandPersonal.bind(this));
     this._commandWindow.setHandler('status',    this.commandPersonal.bind(this));
     this._commandWindow.setHandler('formation', this.commandFormation.bind(this));
+    this._commandWindow.setHandler('quest',     this.commandQuest.bind(this));
+    this._commandWindow.setHandler('bestiary',  this.commandBestiary.bind(this));
+    this._commandWindow.setHandler('encyclopedia', this.commandEncyclopedia.bind(this));
     this._commandWindow.setHandler('options',   this.commandOptions.bind(this));
     this._commandWindow.setHandler('save',      this.commandSave.bind(this));
     this._commandWindow.setHandler('gameEnd',   this.commandGameEnd.bind(this));
@@ -72,6 +75,18 @@ Scene_Menu.prototype.commandFormation = function() {
     this._statusWindow.setHandler('cancel', this.onFormationCancel.bind(this));
 };
 
+Scene_Menu.prototype.commandQuest = function() {
+    SceneManager.push(Scene_Quest);
+};
+
+Scene_Menu.prototype.commandBestiary = function() {
+    SceneManager.push(Scene_Bestiary);
+};
+
+Scene_Menu.prototype.commandEncyclopedia = function() {
+    SceneManager.push(Scene_Encyclopedia);
+};
+
 Scene_Menu.prototype.commandOptions = function() {
     SceneManager.push(Scene_Options);
 };
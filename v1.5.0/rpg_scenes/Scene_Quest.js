@@ -0,0 +1,43 @@
+//-----------------------------------------------------------------------------
+// Scene_Quest
+//
+// The scene class of the quest screen.
+
+function Scene_Quest() {
+    this.initialize.apply(this, arguments);
+}
+
+Scene_Quest.prototype = Object.create(Scene_MenuBase.prototype);
+Scene_Quest.prototype.constructor = Scene_Quest;
+
+Scene_Quest.prototype.initialize = function() {
+    Scene_MenuBase.prototype.initialize.call(this);
+};
+
+Scene_Quest.prototype.create = function() {
+    Scene_MenuBase.prototype.create.call(this);
+    this.createHelpWindow();
+    this.createListWindow();
+    this.createDetailWindow();
+};
+
+Scene_Quest.prototype.createListWindow = function() {
+    var wy = this._helpWindow.height;
+    var wh = Graphics.boxHeight - wy;
+    this._listWindow = new Window_QuestList(0, wy, 320, wh);
+    this._listWindow.setHelpWindow(this._helpWindow);
+    this._listWindow.setHandler('cancel', this.popScene.bind(this));
+    this.addWindow(this._listWindow);
+};
+
+Scene_Quest.prototype.createDetailWindow = function() {
+    var wx = this._listWindow.width;
+    var wy = this._listWindow.y;
+    var ww = Graphics.boxWidth - wx;
+    var wh = this._listWindow.height;
+    this._detailWindow = new Window_QuestDetail(wx, wy, ww, wh);
+    this.addWindow(this._detailWindow);
+    this._listWindow.activate();
+    this._listWindow.select(0);
+    this._listWindow.setDetailWindow(this._detailWindow);
+};
\ No newline at end of file
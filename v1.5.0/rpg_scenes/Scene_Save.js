@@ -12,6 +12,7 @@ Scene_Save.prototype.constructor = Scene_Save;
 
 Scene_Save.prototype.initialize = function() {
     Scene_File.prototype.initialize.call(this);
+    this._saving = false;
 };
 
 Scene_Save.prototype.mode = function() {
@@ -23,14 +24,28 @@ Scene_Save.prototype.helpWindowText = function() {
 };
 
 Scene_Save.prototype.firstSavefileIndex = function() {
-    return DataManager.lastAccessedSavefileId() - 1;
+    return this._listWindow.indexOf(DataManager.lastAccessedSavefileId());
+};
+
+// The screen stays open until the save has been written, since the storage
+// may commit it in the background.
+Scene_Save.prototype.update = function() {
+    Scene_File.prototype.update.call(this);
+    if (this._saving && !StorageManager.isSaving()) {
+        this._saving = false;
+        if (StorageManager.lastError()) {
+            this.onSaveFailure();
+        } else {
+            this.onSaveSuccess();
+        }
+    }
 };
 
 Scene_Save.prototype.onSavefileOk = function() {
     Scene_File.prototype.onSavefileOk.call(this);
     $gameSystem.onBeforeSave();
     if (DataManager.saveGame(this.savefileId())) {
-        this.onSaveSuccess();
+        this._saving = true;
     } else {
         this.onSaveFailure();
     }
@@ -38,7 +53,6 @@ Scene_Save.prototype.onSavefileOk = function() {
 
 Scene_Save.prototype.onSaveSuccess = function() {
     SoundManager.playSave();
-    StorageManager.cleanBackup(this.savefileId());
     this.popScene();
 };
 
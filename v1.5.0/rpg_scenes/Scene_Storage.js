@@ -0,0 +1,150 @@
+//-----------------------------------------------------------------------------
+// Scene_Storage
+//
+// The scene class of the screen for moving items between the party and a
+// container.
+
+function Scene_Storage() {
+    this.initialize.apply(this, arguments);
+}
+
+Scene_Storage.prototype = Object.create(Scene_MenuBase.prototype);
+Scene_Storage.prototype.constructor = Scene_Storage;
+
+Scene_Storage.prototype.initialize = function() {
+    Scene_MenuBase.prototype.initialize.call(this);
+};
+
+Scene_Storage.prototype.prepare = function(name) {
+    this._name = name;
+    if (!$gameParty.container(name)) {
+        $gameParty.setupContainer(name);
+    }
+};
+
+Scene_Storage.prototype.create = function() {
+    Scene_MenuBase.prototype.create.call(this);
+    this.createHelpWindow();
+    this.createHeaderWindows();
+    this.createPartyWindow();
+    this.createContainerWindow();
+    this.createNumberWindow();
+    this.refreshHeaders();
+};
+
+Scene_Storage.prototype.createHeaderWindows = function() {
+    var wy = this._helpWindow.height;
+    var ww = Graphics.boxWidth / 2;
+    var wh = this._helpWindow.fittingHeight(1);
+    this._partyHeaderWindow = new Window_Base(0, wy, ww, wh);
+    this._containerHeaderWindow = new Window_Base(ww, wy, ww, wh);
+    this.addWindow(this._partyHeaderWindow);
+    this.addWindow(this._containerHeaderWindow);
+};
+
+Scene_Storage.prototype.createPartyWindow = function() {
+    var wy = this._partyHeaderWindow.y + this._partyHeaderWindow.height;
+    var ww = Graphics.boxWidth / 2;
+    var wh = Graphics.boxHeight - wy;
+    this._partyWindow = new Window_StorageList(0, wy, ww, wh, this._name, true);
+    this._partyWindow.setHelpWindow(this._helpWindow);
+    this._partyWindow.setHandler('ok',       this.onListOk.bind(this));
+    this._partyWindow.setHandler('cancel',   this.popScene.bind(this));
+    this._partyWindow.setHandler('pagedown', this.activateContainerWindow.bind(this));
+    this.addWindow(this._partyWindow);
+    this._partyWindow.activate();
+    this._partyWindow.select(0);
+};
+
+Scene_Storage.prototype.createContainerWindow = function() {
+    var wx = this._partyWindow.width;
+    var wy = this._partyWindow.y;
+    var ww = Graphics.boxWidth - wx;
+    var wh = this._partyWindow.height;
+    this._containerWindow = new Window_StorageList(wx, wy, ww, wh, this._name, false);
+    this._containerWindow.setHelpWindow(this._helpWindow);
+    this._containerWindow.setHandler('ok',     this.onListOk.bind(this));
+    this._containerWindow.setHandler('cancel', this.activatePartyWindow.bind(this));
+    this._containerWindow.setHandler('pageup', this.activatePartyWindow.bind(this));
+    this.addWindow(this._containerWindow);
+};
+
+Scene_Storage.prototype.createNumberWindow = function() {
+    var wy = this._partyWindow.y;
+    var wh = this._partyWindow.height;
+    this._numberWindow = new Window_StorageNumber(0, wy, wh);
+    this._numberWindow.x = (Graphics.boxWidth - this._numberWindow.width) / 2;
+    this._numberWindow.hide();
+    this._numberWindow.setHandler('ok',     this.onNumberOk.bind(this));
+    this._numberWindow.setHandler('cancel', this.onNumberCancel.bind(this));
+    this.addWindow(this._numberWindow);
+};
+
+Scene_Storage.prototype.refreshHeaders = function() {
+    var container = $gameParty.container(this._name);
+    var partyWindow = this._partyHeaderWindow;
+    var containerWindow = this._containerHeaderWindow;
+    var x = partyWindow.textPadding();
+    var width = partyWindow.contentsWidth() - x * 2;
+    partyWindow.contents.clear();
+    partyWindow.drawText(TextManager.storageParty, x, 0, width);
+    containerWindow.contents.clear();
+    containerWindow.drawText(this._name, x, 0, width);
+    if (container.capacity() > 0) {
+        var slots = container.usedSlots() + '/' + container.capacity();
+        containerWindow.drawText(slots, x, 0, width, 'right');
+    }
+};
+
+Scene_Storage.prototype.activatePartyWindow = function() {
+    this._containerWindow.deselect();
+    this._partyWindow.activate();
+    this._partyWindow.selectLast();
+};
+
+Scene_Storage.prototype.activateContainerWindow = function() {
+    this._partyWindow.deselect();
+    this._containerWindow.activate();
+    this._containerWindow.selectLast();
+};
+
+Scene_Storage.prototype.currentListWindow = function() {
+    return this._containerWindow.index() >= 0 ? this._containerWindow : this._partyWindow;
+};
+
+Scene_Storage.prototype.onListOk = function() {
+    var listWindow = this.currentListWindow();
+    this._item = listWindow.item();
+    this._numberWindow.setup(this._item, listWindow.maxTransfer(), 0);
+    this._numberWindow.show();
+    this._numberWindow.activate();
+};
+
+Scene_Storage.prototype.onNumberOk = function() {
+    SoundManager.playOk();
+    this.doTransfer(this._numberWindow.number());
+    this.endNumberInput();
+};
+
+Scene_Storage.prototype.onNumberCancel = function() {
+    SoundManager.playCancel();
+    this.endNumberInput();
+};
+
+Scene_Storage.prototype.doTransfer = function(number) {
+    if (this.currentListWindow() === this._partyWindow) {
+        $gameParty.depositItem(this._name, this._item, number);
+    } else {
+        $gameParty.withdrawItem(this._name, this._item, number);
+    }
+};
+
+Scene_Storage.prototype.endNumberInput = function() {
+    var listWindow = this.currentListWindow();
+    this._numberWindow.hide();
+    this._partyWindow.refresh();
+    this._containerWindow.refresh();
+    this.refreshHeaders();
+    listWindow.activate();
+    listWindow.selectLast();
+};
\ No newline at end of file
@@ -0,0 +1,216 @@
+//-----------------------------------------------------------------------------
+// Sprite_Lighting
+//
+// The sprite for darkening the map and drawing the lights of characters and
+// regions. With WebGL it multiplies a lit gray layer over the map; the canvas
+// renderer has no reliable multiply, so the lights are cut out of a black layer
+// instead. The layer is only redrawn when a light or the scroll has changed.
+
+function Sprite_Lighting() {
+    this.initialize.apply(this, arguments);
+}
+
+Sprite_Lighting.prototype = Object.create(Sprite.prototype);
+Sprite_Lighting.prototype.constructor = Sprite_Lighting;
+
+Sprite_Lighting.prototype.initialize = function() {
+    Sprite.prototype.initialize.call(this);
+    this._multiply = Graphics.isWebGL();
+    this._flickerTime = 0;
+    this._frameCount = 0;
+    this._lastKey = '';
+    this.createBitmap();
+    this.createRegionLights();
+    this.update();
+};
+
+Sprite_Lighting.prototype.createBitmap = function() {
+    this.bitmap = new Bitmap(Graphics.width, Graphics.height);
+    if (this._multiply) {
+        this.blendMode = Graphics.BLEND_MULTIPLY;
+    }
+};
+
+Sprite_Lighting.prototype.createRegionLights = function() {
+    this._regionLights = {};
+    this._regionLightRadius = 0;
+    var lights = $gameMap.regionLights();
+    if (lights.length > 0) {
+        for (var y = 0; y < $gameMap.height(); y++) {
+            for (var x = 0; x < $gameMap.width(); x++) {
+                var regionId = $gameMap.regionId(x, y);
+                for (var i = 0; i < lights.length; i++) {
+                    if (lights[i].regionId === regionId) {
+                        this._regionLights[y * $gameMap.width() + x] = lights[i].light;
+                        this._regionLightRadius = Math.max(this._regionLightRadius,
+                                                           lights[i].light.radius);
+                    }
+                }
+            }
+        }
+    }
+};
+
+// The number of frames between changes of flickering lights.
+Sprite_Lighting.prototype.flickerInterval = function() {
+    return 4;
+};
+
+Sprite_Lighting.prototype.update = function() {
+    Sprite.prototype.update.call(this);
+    var darkness = $gameMap.darkness().clamp(0, 255);
+    this.visible = darkness > 0;
+    if (this.visible) {
+        this.updateFlicker();
+        var lights = this.visibleLights();
+        var key = darkness + ';' + lights.map(function(light) {
+            return [light.x, light.y, light.radius, light.color,
+                    light.startAngle, light.endAngle].join(',');
+        }).join(';');
+        if (key !== this._lastKey) {
+            this.redraw(darkness, lights);
+            this._lastKey = key;
+        }
+    } else {
+        this._lastKey = '';
+    }
+};
+
+Sprite_Lighting.prototype.updateFlicker = function() {
+    this._frameCount++;
+    if (this._frameCount % this.flickerInterval() === 0) {
+        this._flickerTime++;
+    }
+};
+
+Sprite_Lighting.prototype.redraw = function(darkness, lights) {
+    var bitmap = this.bitmap;
+    bitmap.clear();
+    if (this._multiply) {
+        var gray = 255 - darkness;
+        bitmap.fillAll('rgb(%1,%1,%1)'.format(gray));
+    } else {
+        bitmap.fillAll('rgba(0,0,0,%1)'.format(darkness / 255));
+    }
+    lights.forEach(this.drawLight, this);
+};
+
+Sprite_Lighting.prototype.visibleLights = function() {
+    var lights = this.characterLights().concat(this.regionLights());
+    return lights.filter(function(light) {
+        return this.isLightVisible(light.x, light.y, light.radius);
+    }, this);
+};
+
+Sprite_Lighting.prototype.lightCharacters = function() {
+    return $gameMap.events().concat($gamePlayer).filter(function(character) {
+        return character.light() && !character.isTransparent();
+    });
+};
+
+Sprite_Lighting.prototype.characterLights = function() {
+    var halfHeight = $gameMap.tileHeight() / 2;
+    return this.lightCharacters().map(function(character) {
+        var x = character.screenX();
+        var y = character.screenY() - halfHeight;
+        var seed = character === $gamePlayer ? 0 : character.eventId();
+        return this.makeLight(x, y, character.light(), character.direction(), seed);
+    }, this);
+};
+
+// Only the tiles within reach of the screen are looked at, so large regions
+// cost no more than the part of them in view.
+Sprite_Lighting.prototype.regionLights = function() {
+    var lights = [];
+    if (this._regionLightRadius > 0) {
+        var tileWidth = $gameMap.tileWidth();
+        var tileHeight = $gameMap.tileHeight();
+        var marginX = Math.ceil(this._regionLightRadius / tileWidth);
+        var marginY = Math.ceil(this._regionLightRadius / tileHeight);
+        var startX = Math.floor($gameMap.displayX()) - marginX;
+        var startY = Math.floor($gameMap.displayY()) - marginY;
+        var endX = startX + Math.ceil($gameMap.screenTileX()) + marginX * 2 + 1;
+        var endY = startY + Math.ceil($gameMap.screenTileY()) + marginY * 2 + 1;
+        for (var y = startY; y <= endY; y++) {
+            for (var x = startX; x <= endX; x++) {
+                var mx = $gameMap.roundX(x);
+                var my = $gameMap.roundY(y);
+                if ($gameMap.isValid(mx, my)) {
+                    var light = this._regionLights[my * $gameMap.width() + mx];
+                    if (light) {
+                        var sx = ($gameMap.adjustX(mx) + 0.5) * tileWidth;
+                        var sy = ($gameMap.adjustY(my) + 0.5) * tileHeight;
+                        lights.push(this.makeLight(sx, sy, light, 0, mx * 31 + my));
+                    }
+                }
+            }
+        }
+    }
+    return lights;
+};
+
+Sprite_Lighting.prototype.makeLight = function(x, y, light, direction, seed) {
+    var result = {
+        x: Math.round(x),
+        y: Math.round(y),
+        radius: Math.round(light.radius * this.flickerScale(light, seed)),
+        color: light.color
+    };
+    if (light.angle > 0 && direction > 0) {
+        var center = this.directionAngle(direction);
+        var spread = light.angle * Math.PI / 360;
+        result.startAngle = center - spread;
+        result.endAngle = center + spread;
+    }
+    return result;
+};
+
+// Two slow waves with an offset for each light give a smooth flicker that
+// differs between lights.
+Sprite_Lighting.prototype.flickerScale = function(light, seed) {
+    if (light.flicker > 0) {
+        var t = this._flickerTime;
+        var wave = (Math.sin(t * 0.3 + seed) + Math.sin(t * 0.8 + seed * 1.3)) / 4 + 0.5;
+        return 1 - light.flicker * wave;
+    }
+    return 1;
+};
+
+Sprite_Lighting.prototype.drawLight = function(light) {
+    var bitmap = this.bitmap;
+    var x = light.x;
+    var y = light.y;
+    var radius = light.radius;
+    var transparent = 'rgba(0,0,0,0)';
+    if (this._multiply) {
+        bitmap.gradientFillCircle(x, y, radius, light.color, transparent,
+                                  light.startAngle, light.endAngle, 'lighter');
+    } else {
+        bitmap.gradientFillCircle(x, y, radius, 'rgba(0,0,0,1)', transparent,
+                                  light.startAngle, light.endAngle, 'destination-out');
+        if (light.color.toLowerCase() !== '#ffffff') {
+            bitmap.paintOpacity = 64;
+            bitmap.gradientFillCircle(x, y, radius, light.color, transparent,
+                                      light.startAngle, light.endAngle);
+            bitmap.paintOpacity = 255;
+        }
+    }
+};
+
+Sprite_Lighting.prototype.isLightVisible = function(x, y, radius) {
+    return (radius > 0 && x + radius > 0 && x - radius < this.bitmap.width &&
+            y + radius > 0 && y - radius < this.bitmap.height);
+};
+
+Sprite_Lighting.prototype.directionAngle = function(direction) {
+    switch (direction) {
+    case 2:
+        return Math.PI / 2;
+    case 4:
+        return Math.PI;
+    case 8:
+        return -Math.PI / 2;
+    default:
+        return 0;
+    }
+};
\ No newline at end of file
@@ -21,6 +21,7 @@ Spriteset_Map.prototype.createLowerLayer = function() {
     this.createCharacters();
     this.createShadow();
     this.createDestination();
+    this.createLighting();
     this.createWeather();
 };
 
@@ -111,6 +112,11 @@ Spriteset_Map.prototype.createDestination = function() {
     this._tilemap.addChild(this._destinationSprite);
 };
 
+Spriteset_Map.prototype.createLighting = function() {
+    this._lightingSprite = new Sprite_Lighting();
+    this._baseSprite.addChild(this._lightingSprite);
+};
+
 Spriteset_Map.prototype.createWeather = function() {
     this._weather = new Weather();
     this.addChild(this._weather);
@@ -27,6 +27,12 @@ Window_Base._iconWidth  = 32;
 Window_Base._iconHeight = 32;
 Window_Base._faceWidth  = 144;
 Window_Base._faceHeight = 144;
+Window_Base._textConversions = {};
+Window_Base._textCommands    = {};
+Window_Base._noLineStartChars = ('.,!?;:)]}\u3001\u3002\uff0c\uff0e\u30fb\uff1a\uff1b\uff1f' +
+    '\uff01\u30fc\u300d\u300f\uff09\u3011\u3009\u300b\u3041\u3043\u3045\u3047\u3049' +
+    '\u3063\u3083\u3085\u3087\u30a1\u30a3\u30a5\u30a7\u30a9\u30c3\u30e3\u30e5\u30e7').split('');
+Window_Base._noLineEndChars   = '([{\u300c\u300e\uff08\u3010\u3008\u300a'.split('');
 
 Window_Base.prototype.lineHeight = function() {
     return 36;
@@ -228,6 +234,14 @@ Window_Base.prototype.tpGaugeColor2 = function() {
     return this.textColor(29);
 };
 
+Window_Base.prototype.atbGaugeColor1 = function() {
+    return this.textColor(26);
+};
+
+Window_Base.prototype.atbGaugeColor2 = function() {
+    return this.textColor(27);
+};
+
 Window_Base.prototype.tpCostColor = function() {
     return this.textColor(29);
 };
@@ -256,12 +270,16 @@ Window_Base.prototype.textWidth = function(text) {
     return this.contents.measureTextWidth(text);
 };
 
-Window_Base.prototype.drawTextEx = function(text, x, y) {
+// When width is given, the text is word wrapped to fit in it.
+Window_Base.prototype.drawTextEx = function(text, x, y, width) {
     if (text) {
-        var textState = { index: 0, x: x, y: y, left: x };
+        var textState = { index: 0, x: x, y: y, left: x, width: width };
         textState.text = this.convertEscapeCharacters(text);
-        textState.height = this.calcTextHeight(textState, false);
         this.resetFontSettings();
+        if (width) {
+            textState.text = this.wrapText(textState.text, width);
+        }
+        textState.height = this.calcTextHeight(textState, false);
         while (textState.index < textState.text.length) {
             this.processCharacter(textState);
         }
@@ -271,25 +289,302 @@ Window_Base.prototype.drawTextEx = function(text, x, y) {
     }
 };
 
+// Text codes are registered with a parameter type of 'number', 'string' or
+// null, written as \CODE[param]. Conversions are replaced with text before
+// drawing starts and commands are run while drawing.
+Window_Base.registerTextConversion = function(code, paramType, func) {
+    this._textConversions[code.toUpperCase()] = {
+        regExp: this.textCodeRegExp(code, paramType),
+        paramType: paramType,
+        func: func
+    };
+};
+
+// Set affectsFont for commands that change the font size, so that they are
+// also run when the line heights are calculated.
+Window_Base.registerTextCommand = function(code, paramType, func, affectsFont) {
+    this._textCommands[code.toUpperCase()] = {
+        paramType: paramType,
+        func: func,
+        affectsFont: !!affectsFont
+    };
+};
+
+Window_Base.textCodeRegExp = function(code, paramType) {
+    var source = '\x1b' + code.replace(/[\\^$.*+?()[\]{}|]/g, '\\$&');
+    if (paramType === 'number') {
+        source += '\\[(\\d+)\\]';
+    } else if (paramType === 'string') {
+        source += '\\[([^\\]]*)\\]';
+    }
+    return new RegExp(source, 'gi');
+};
+
+Window_Base.convertTextParam = function(param, paramType) {
+    if (paramType === 'number') {
+        return parseInt(param) || 0;
+    } else if (paramType === 'string') {
+        return param || '';
+    } else {
+        return null;
+    }
+};
+
+Window_Base.registerTextConversion('N', 'number', function(n) {
+    return this.actorName(n);
+});
+Window_Base.registerTextConversion('P', 'number', function(n) {
+    return this.partyMemberName(n);
+});
+Window_Base.registerTextConversion('G', null, function() {
+    return TextManager.currencyUnit;
+});
+Window_Base.registerTextConversion('AC', 'number', function(n) {
+    return this.actorClassName(n);
+});
+Window_Base.registerTextConversion('SW', 'number', function(n) {
+    return $gameSwitches.value(n) ? 'ON' : 'OFF';
+});
+Window_Base.registerTextConversion('II', 'number', function(n) {
+    return this.itemNameWithIcon($dataItems[n]);
+});
+Window_Base.registerTextConversion('IW', 'number', function(n) {
+    return this.itemNameWithIcon($dataWeapons[n]);
+});
+Window_Base.registerTextConversion('IA', 'number', function(n) {
+    return this.itemNameWithIcon($dataArmors[n]);
+});
+Window_Base.registerTextConversion('IS', 'number', function(n) {
+    return this.itemNameWithIcon($dataSkills[n]);
+});
+
+Window_Base.registerTextCommand('C', 'number', function(n) {
+    this.changeTextColor(this.textColor(n));
+});
+Window_Base.registerTextCommand('I', 'number', function(n, textState) {
+    this.processDrawIcon(n, textState);
+});
+Window_Base.registerTextCommand('{', null, function() {
+    this.makeFontBigger();
+}, true);
+Window_Base.registerTextCommand('}', null, function() {
+    this.makeFontSmaller();
+}, true);
+Window_Base.registerTextCommand('FS', 'number', function(n) {
+    this.changeFontSize(n);
+}, true);
+Window_Base.registerTextCommand('FN', 'string', function(name) {
+    this.changeFontFace(name);
+});
+Window_Base.registerTextCommand('ALIGN', 'string', function(align, textState) {
+    this.processAlign(align.toLowerCase(), textState);
+});
+
 Window_Base.prototype.convertEscapeCharacters = function(text) {
     text = text.replace(/\\/g, '\x1b');
     text = text.replace(/\x1b\x1b/g, '\\');
-    text = text.replace(/\x1bV\[(\d+)\]/gi, function() {
-        return $gameVariables.value(parseInt(arguments[1]));
-    }.bind(this));
-    text = text.replace(/\x1bV\[(\d+)\]/gi, function() {
-        return $gameVariables.value(parseInt(arguments[1]));
-    }.bind(this));
-    text = text.replace(/\x1bN\[(\d+)\]/gi, function() {
-        return this.actorName(parseInt(arguments[1]));
-    }.bind(this));
-    text = text.replace(/\x1bP\[(\d+)\]/gi, function() {
-        return this.partyMemberName(parseInt(arguments[1]));
-    }.bind(this));
-    text = text.replace(/\x1bG/gi, TextManager.currencyUnit);
+    text = this.convertVariables(text);
+    Object.keys(Window_Base._textConversions).forEach(function(code) {
+        var entry = Window_Base._textConversions[code];
+        text = text.replace(entry.regExp, function(match, param) {
+            var value = Window_Base.convertTextParam(param, entry.paramType);
+            return entry.func.call(this, value);
+        }.bind(this));
+    }, this);
+    return text;
+};
+
+Window_Base.prototype.measureTextEx = function(text, width) {
+    var textState = { index: 0 };
+    textState.text = this.convertEscapeCharacters(text);
+    this.resetFontSettings();
+    if (width) {
+        textState.text = this.wrapText(textState.text, width);
+    }
+    var height = this.calcTextHeight(textState, true);
+    var lineWidths = this.textLineWidths(textState.text);
+    this.resetFontSettings();
+    return { width: Math.max.apply(null, lineWidths), height: height };
+};
+
+Window_Base.prototype.textLineWidths = function(text) {
+    return text.split(/[\n\f]/).map(function(line) {
+        return this.textUnits(line).reduce(function(r, unit) {
+            return r + unit.width;
+        }, 0);
+    }, this);
+};
+
+// Splits converted text into words, other characters and escape codes with
+// their widths. Font changes made by the escape codes are applied to the
+// contents. Words wider than maxWidth are split into characters.
+Window_Base.prototype.textUnits = function(text, maxWidth) {
+    var units = [];
+    var index = 0;
+    var regExp = /\x1b([\$\.\|\^!><\{\}\\]|[A-Z]+)(?:\[([^\]]*)\])?/gi;
+    for (;;) {
+        var arr = regExp.exec(text);
+        this.pushTextUnits(units, text.slice(index, arr ? arr.index : text.length), maxWidth);
+        if (!arr) {
+            break;
+        }
+        var code = arr[1].toUpperCase();
+        units.push({ text: arr[0], width: this.escapeCharacterWidth(code), escape: true });
+        this.measureEscapeCharacter(code, arr[2]);
+        index = regExp.lastIndex;
+    }
+    return units;
+};
+
+Window_Base.prototype.pushTextUnits = function(units, text, maxWidth) {
+    (text.match(/\w+|[^\w]/g) || []).forEach(function(word) {
+        var width = this.textWidth(word);
+        if (word.length > 1 && maxWidth && width > maxWidth) {
+            word.split('').forEach(function(c) {
+                units.push({ text: c, width: this.textWidth(c), escape: false });
+            }, this);
+        } else {
+            units.push({ text: word, width: width, escape: false });
+        }
+    }, this);
+};
+
+Window_Base.prototype.escapeCharacterWidth = function(code) {
+    return code === 'I' ? Window_Base._iconWidth + 4 : 0;
+};
+
+Window_Base.prototype.wrapText = function(text, width) {
+    var lastFontSize = this.contents.fontSize;
+    var lastFontFace = this.contents.fontFace;
+    var result = text.split(/([\n\f])/).map(function(line) {
+        if (line === '\n' || line === '\f') {
+            return line;
+        } else {
+            return this.wrapLine(line, width);
+        }
+    }, this).join('');
+    this.contents.fontSize = lastFontSize;
+    this.contents.fontFace = lastFontFace;
+    return result;
+};
+
+Window_Base.prototype.wrapLine = function(line, width) {
+    var align = /^\x1bALIGN\[[^\]]*\]/i.exec(line);
+    var lines = [];
+    var current = [];
+    var x = 0;
+    var breakLine = function() {
+        while (current.length > 0 && current[current.length - 1].text === ' ') {
+            current.pop();
+        }
+        lines.push(current.map(function(unit) { return unit.text; }).join(''));
+        current = [];
+        x = 0;
+    };
+    this.textSegments(this.textUnits(line, width)).forEach(function(segment) {
+        var segmentWidth = this.segmentWidth(segment, true);
+        if (x > 0 && x + segmentWidth > width) {
+            breakLine();
+        }
+        if (segmentWidth > width) {
+            segment.forEach(function(unit) {
+                if (x > 0 && x + unit.width > width && unit.text !== ' ') {
+                    breakLine();
+                }
+                current.push(unit);
+                x += unit.width;
+            });
+        } else {
+            current = current.concat(segment);
+            x += this.segmentWidth(segment, false);
+        }
+    }, this);
+    lines.push(current.map(function(unit) { return unit.text; }).join(''));
+    return lines.join(align ? '\n' + align[0] : '\n');
+};
+
+// Groups text units into pieces that must not be split across lines.
+Window_Base.prototype.textSegments = function(units) {
+    var segments = [];
+    var segment = [];
+    var last = null;
+    units.forEach(function(unit) {
+        var canBreak = false;
+        if (last && unit.escape) {
+            canBreak = last.text === ' ';
+        } else if (last) {
+            canBreak = this.canBreakBetween(last, unit);
+        }
+        if (canBreak && segment.length > 0) {
+            segments.push(segment);
+            segment = [];
+        }
+        segment.push(unit);
+        if (!unit.escape) {
+            last = unit;
+        } else if (canBreak) {
+            last = null;
+        }
+    }, this);
+    if (segment.length > 0) {
+        segments.push(segment);
+    }
+    return segments;
+};
+
+Window_Base.prototype.segmentWidth = function(segment, trimSpaces) {
+    var end = segment.length;
+    if (trimSpaces) {
+        while (end > 0 && segment[end - 1].text === ' ') {
+            end--;
+        }
+    }
+    return segment.slice(0, end).reduce(function(r, unit) {
+        return r + unit.width;
+    }, 0);
+};
+
+Window_Base.prototype.canBreakBetween = function(before, after) {
+    if (after.text === ' ') {
+        return false;
+    } else if (before.text === ' ') {
+        return true;
+    } else if (Window_Base._noLineStartChars.contains(after.text) ||
+               Window_Base._noLineEndChars.contains(before.text)) {
+        return false;
+    } else {
+        var isWord = /\w/.test(before.text) && /\w/.test(after.text);
+        return (($gameSystem.isCJK() && !isWord) ||
+                this.isCJKCharacter(before.text) ||
+                this.isCJKCharacter(after.text));
+    }
+};
+
+Window_Base.prototype.isCJKCharacter = function(c) {
+    return /[\u1100-\u11ff\u2e80-\u9fff\uac00-\ud7af\uf900-\ufaff\uff00-\uffef]/.test(c);
+};
+
+Window_Base.prototype.convertVariables = function(text) {
+    // Two passes, so that a variable can hold one more \V[n] but a variable
+    // referring to itself cannot loop forever.
+    var regExp = /\x1bV\[(\d+)\]/gi;
+    for (var i = 0; i < 2; i++) {
+        text = text.replace(regExp, function() {
+            return $gameVariables.value(parseInt(arguments[1]));
+        }.bind(this));
+    }
     return text;
 };
 
+Window_Base.prototype.itemNameWithIcon = function(item) {
+    return item ? '\x1bI[' + item.iconIndex + ']' + item.name : '';
+};
+
+Window_Base.prototype.actorClassName = function(n) {
+    var actor = n >= 1 ? $gameActors.actor(n) : null;
+    return actor ? actor.currentClass().name : '';
+};
+
 Window_Base.prototype.actorName = function(n) {
     var actor = n >= 1 ? $gameActors.actor(n) : null;
     return actor ? actor.name() : '';
@@ -357,20 +652,43 @@ Window_Base.prototype.obtainEscapeParam = function(textState) {
     }
 };
 
+Window_Base.prototype.obtainEscapeStringParam = function(textState) {
+    var arr = /^\[([^\]]*)\]/.exec(textState.text.slice(textState.index));
+    if (arr) {
+        textState.index += arr[0].length;
+        return arr[1];
+    } else {
+        return '';
+    }
+};
+
 Window_Base.prototype.processEscapeCharacter = function(code, textState) {
-    switch (code) {
-    case 'C':
-        this.changeTextColor(this.textColor(this.obtainEscapeParam(textState)));
-        break;
-    case 'I':
-        this.processDrawIcon(this.obtainEscapeParam(textState), textState);
-        break;
-    case '{':
-        this.makeFontBigger();
-        break;
-    case '}':
-        this.makeFontSmaller();
-        break;
+    var entry = Window_Base._textCommands[code];
+    if (entry) {
+        var param = null;
+        if (entry.paramType === 'number') {
+            param = this.obtainEscapeParam(textState);
+        } else if (entry.paramType === 'string') {
+            param = this.obtainEscapeStringParam(textState);
+        }
+        entry.func.call(this, param, textState);
+    }
+};
+
+// \ALIGN[center] or \ALIGN[right] at the start of a line aligns that line
+// within textState.width, or the rest of the contents if it is not set.
+Window_Base.prototype.processAlign = function(align, textState) {
+    if (align === 'center' || align === 'right') {
+        var end = textState.text.slice(textState.index).search(/[\n\f]/);
+        var line = textState.text.substr(textState.index, end >= 0 ? end : undefined);
+        var lastFontSize = this.contents.fontSize;
+        var lastFontFace = this.contents.fontFace;
+        var lineWidth = this.textLineWidths(line)[0];
+        this.contents.fontSize = lastFontSize;
+        this.contents.fontFace = lastFontFace;
+        var width = textState.width || this.contents.width - textState.left;
+        var space = Math.max(width - lineWidth, 0);
+        textState.x = textState.left + (align === 'center' ? Math.floor(space / 2) : space);
     }
 };
 
@@ -391,24 +709,35 @@ Window_Base.prototype.makeFontSmaller = function() {
     }
 };
 
+Window_Base.prototype.changeFontSize = function(size) {
+    this.contents.fontSize = size > 0 ? size : this.standardFontSize();
+};
+
+Window_Base.prototype.changeFontFace = function(face) {
+    this.contents.fontFace = face || this.standardFontFace();
+};
+
+Window_Base.prototype.measureEscapeCharacter = function(code, param) {
+    var entry = Window_Base._textCommands[code];
+    if (entry && entry.affectsFont) {
+        entry.func.call(this, Window_Base.convertTextParam(param, entry.paramType), null);
+    }
+};
+
 Window_Base.prototype.calcTextHeight = function(textState, all) {
     var lastFontSize = this.contents.fontSize;
+    var lastFontFace = this.contents.fontFace;
     var textHeight = 0;
     var lines = textState.text.slice(textState.index).split('\n');
     var maxLines = all ? lines.length : 1;
 
     for (var i = 0; i < maxLines; i++) {
         var maxFontSize = this.contents.fontSize;
-        var regExp = /\x1b[\{\}]/g;
+        var regExp = /\x1b([\$\.\|\^!><\{\}\\]|[A-Z]+)(?:\[([^\]]*)\])?/gi;
         for (;;) {
             var array = regExp.exec(lines[i]);
             if (array) {
-                if (array[0] === '\x1b{') {
-                    this.makeFontBigger();
-                }
-                if (array[0] === '\x1b}') {
-                    this.makeFontSmaller();
-                }
+                this.measureEscapeCharacter(array[1].toUpperCase(), array[2]);
                 if (maxFontSize < this.contents.fontSize) {
                     maxFontSize = this.contents.fontSize;
                 }
@@ -420,6 +749,7 @@ Window_Base.prototype.calcTextHeight = function(textState, all) {
     }
 
     this.contents.fontSize = lastFontSize;
+    this.contents.fontFace = lastFontFace;
     return textHeight;
 };
 
@@ -307,7 +307,7 @@ Window_BattleLog.prototype.backPaintOpacity = function() {
 Window_BattleLog.prototype.drawLineText = function(index) {
     var rect = this.itemRectForText(index);
     this.contents.clearRect(rect.x, rect.y, rect.width, rect.height);
-    this.drawTextEx(this._lines[index], rect.x, rect.y, rect.width);
+    this.drawTextEx(this._lines[index], rect.x, rect.y);
 };
 
 Window_BattleLog.prototype.startTurn = function() {
@@ -15,6 +15,7 @@ Window_BattleStatus.prototype.initialize = function() {
     var height = this.windowHeight();
     var x = Graphics.boxWidth - width;
     var y = Graphics.boxHeight - height;
+    this._atbGaugeFills = [];
     Window_Selectable.prototype.initialize.call(this, x, y, width, height);
     this.refresh();
     this.openness = 0;
@@ -38,12 +39,44 @@ Window_BattleStatus.prototype.maxItems = function() {
 
 Window_BattleStatus.prototype.refresh = function() {
     this.contents.clear();
+    this._atbGaugeFills = [];
     this.drawAllItems();
 };
 
+Window_BattleStatus.prototype.update = function() {
+    Window_Selectable.prototype.update.call(this);
+    this.updateAtbGauges();
+};
+
+Window_BattleStatus.prototype.updateAtbGauges = function() {
+    if (BattleManager.isAtb()) {
+        var members = $gameParty.battleMembers();
+        for (var i = 0; i < members.length; i++) {
+            if (this.atbGaugeFill(members[i]) !== this._atbGaugeFills[i]) {
+                this.redrawNameArea(i);
+            }
+        }
+    }
+};
+
+Window_BattleStatus.prototype.atbGaugeFill = function(actor) {
+    return Math.floor(this.nameWidth() * actor.atbRate());
+};
+
+Window_BattleStatus.prototype.nameWidth = function() {
+    return 150;
+};
+
+Window_BattleStatus.prototype.redrawNameArea = function(index) {
+    var actor = $gameParty.battleMembers()[index];
+    var rect = this.basicAreaRect(index);
+    this.contents.clearRect(rect.x, rect.y, this.nameWidth(), rect.height);
+    this.drawNameArea(rect, actor, index);
+};
+
 Window_BattleStatus.prototype.drawItem = function(index) {
     var actor = $gameParty.battleMembers()[index];
-    this.drawBasicArea(this.basicAreaRect(index), actor);
+    this.drawBasicArea(this.basicAreaRect(index), actor, index);
     this.drawGaugeArea(this.gaugeAreaRect(index), actor);
 };
 
@@ -64,11 +97,26 @@ Window_BattleStatus.prototype.gaugeAreaWidth = function() {
     return 330;
 };
 
-Window_BattleStatus.prototype.drawBasicArea = function(rect, actor) {
-    this.drawActorName(actor, rect.x + 0, rect.y, 150);
+Window_BattleStatus.prototype.drawBasicArea = function(rect, actor, index) {
+    this.drawNameArea(rect, actor, index);
     this.drawActorIcons(actor, rect.x + 156, rect.y, rect.width - 156);
 };
 
+Window_BattleStatus.prototype.drawNameArea = function(rect, actor, index) {
+    var width = this.nameWidth();
+    if (BattleManager.isAtb()) {
+        this.drawActorAtbGauge(actor, rect.x, rect.y, width);
+        this._atbGaugeFills[index] = this.atbGaugeFill(actor);
+    }
+    this.drawActorName(actor, rect.x + 0, rect.y, width);
+};
+
+Window_BattleStatus.prototype.drawActorAtbGauge = function(actor, x, y, width) {
+    var color1 = this.atbGaugeColor1();
+    var color2 = this.atbGaugeColor2();
+    this.drawGauge(x, y, width, actor.atbRate(), color1, color2);
+};
+
 Window_BattleStatus.prototype.drawGaugeArea = function(rect, actor) {
     if ($dataSystem.optDisplayTp) {
         this.drawGaugeAreaWithTp(rect, actor);
@@ -0,0 +1,65 @@
+//-----------------------------------------------------------------------------
+// Window_BestiaryList
+//
+// The window for selecting an enemy on the bestiary screen.
+
+function Window_BestiaryList() {
+    this.initialize.apply(this, arguments);
+}
+
+Window_BestiaryList.prototype = Object.create(Window_Selectable.prototype);
+Window_BestiaryList.prototype.constructor = Window_BestiaryList;
+
+Window_BestiaryList.prototype.initialize = function(x, y, width, height) {
+    Window_Selectable.prototype.initialize.call(this, x, y, width, height);
+    this._data = [];
+    this.refresh();
+    this.select(0);
+};
+
+Window_BestiaryList.prototype.maxItems = function() {
+    return this._data ? this._data.length : 1;
+};
+
+Window_BestiaryList.prototype.enemy = function() {
+    var index = this.index();
+    return this._data && index >= 0 ? this._data[index] : null;
+};
+
+Window_BestiaryList.prototype.isKnown = function(enemy) {
+    return !!enemy && $gameSystem.isEnemyEncountered(enemy.id);
+};
+
+Window_BestiaryList.prototype.makeItemList = function() {
+    this._data = $dataEnemies.filter(function(enemy) {
+        return enemy && enemy.name;
+    });
+};
+
+Window_BestiaryList.prototype.drawItem = function(index) {
+    var enemy = this._data[index];
+    var rect = this.itemRectForText(index);
+    var known = this.isKnown(enemy);
+    this.changePaintOpacity(known);
+    this.drawText(known ? enemy.name : TextManager.unknown, rect.x, rect.y, rect.width);
+    this.changePaintOpacity(true);
+};
+
+Window_BestiaryList.prototype.setStatusWindow = function(statusWindow) {
+    this._statusWindow = statusWindow;
+    this.callUpdateHelp();
+};
+
+Window_BestiaryList.prototype.callUpdateHelp = function() {
+    Window_Selectable.prototype.callUpdateHelp.call(this);
+    if (this.active && this._statusWindow) {
+        var enemy = this.enemy();
+        this._statusWindow.setEnemy(this.isKnown(enemy) ? enemy : null);
+    }
+};
+
+Window_BestiaryList.prototype.refresh = function() {
+    this.makeItemList();
+    this.createContents();
+    this.drawAllItems();
+};
\ No newline at end of file
@@ -0,0 +1,159 @@
+//-----------------------------------------------------------------------------
+// Window_BestiaryStatus
+//
+// The window for displaying details of an enemy on the bestiary screen.
+
+function Window_BestiaryStatus() {
+    this.initialize.apply(this, arguments);
+}
+
+Window_BestiaryStatus.prototype = Object.create(Window_Base.prototype);
+Window_BestiaryStatus.prototype.constructor = Window_BestiaryStatus;
+
+Window_BestiaryStatus.prototype.initialize = function(x, y, width, height) {
+    Window_Base.prototype.initialize.call(this, x, y, width, height);
+    this._enemy = null;
+    this._battler = null;
+    this.refresh();
+};
+
+Window_BestiaryStatus.prototype.setEnemy = function(enemy) {
+    if (this._enemy !== enemy) {
+        this._enemy = enemy;
+        this._battler = enemy ? new Game_Enemy(enemy.id, 0, 0) : null;
+        this.refresh();
+    }
+};
+
+Window_BestiaryStatus.prototype.isDefeated = function() {
+    return $gameSystem.isEnemyDefeated(this._enemy.id);
+};
+
+Window_BestiaryStatus.prototype.refresh = function() {
+    this.contents.clear();
+    if (this._enemy) {
+        var lineHeight = this.lineHeight();
+        this.drawHeader(lineHeight * 0);
+        this.drawHorzLine(lineHeight * 1);
+        this.drawBattlerImage(0, lineHeight * 2, 240, lineHeight * 8);
+        this.drawParameters(264, lineHeight * 2);
+        this.drawHorzLine(lineHeight * 10);
+        this.drawElements(lineHeight * 11);
+        this.drawDropItems(lineHeight * 13);
+    }
+};
+
+Window_BestiaryStatus.prototype.drawHorzLine = function(y) {
+    var lineY = y + this.lineHeight() / 2 - 1;
+    this.contents.paintOpacity = 48;
+    this.contents.fillRect(0, lineY, this.contentsWidth(), 2, this.lineColor());
+    this.contents.paintOpacity = 255;
+};
+
+Window_BestiaryStatus.prototype.lineColor = function() {
+    return this.normalColor();
+};
+
+Window_BestiaryStatus.prototype.drawHeader = function(y) {
+    var x = this.textPadding();
+    var width = this.contentsWidth() - x * 2;
+    var count = $gameSystem.enemyDefeatCount(this._enemy.id);
+    this.resetTextColor();
+    this.drawText(this._enemy.name, x, y, width);
+    this.changeTextColor(this.systemColor());
+    this.drawText(TextManager.defeated, x, y, width - 80, 'right');
+    this.resetTextColor();
+    this.drawText(count, x, y, width, 'right');
+};
+
+Window_BestiaryStatus.prototype.battlerBitmap = function() {
+    var name = this._enemy.battlerName;
+    var hue = this._enemy.battlerHue;
+    if ($gameSystem.isSideView()) {
+        return ImageManager.loadSvEnemy(name, hue);
+    } else {
+        return ImageManager.loadEnemy(name, hue);
+    }
+};
+
+Window_BestiaryStatus.prototype.drawBattlerImage = function(x, y, width, height) {
+    if (this._enemy.battlerName) {
+        var bitmap = this.battlerBitmap();
+        if (bitmap.isReady()) {
+            var scale = Math.min(width / bitmap.width, height / bitmap.height, 1);
+            var dw = Math.floor(bitmap.width * scale);
+            var dh = Math.floor(bitmap.height * scale);
+            var dx = x + Math.floor((width - dw) / 2);
+            var dy = y + Math.floor((height - dh) / 2);
+            this.contents.blt(bitmap, 0, 0, bitmap.width, bitmap.height, dx, dy, dw, dh);
+        } else {
+            bitmap.addLoadListener(this.refresh.bind(this));
+        }
+    }
+};
+
+Window_BestiaryStatus.prototype.drawParameters = function(x, y) {
+    var lineHeight = this.lineHeight();
+    var defeated = this.isDefeated();
+    for (var i = 0; i < 8; i++) {
+        var y2 = y + lineHeight * i;
+        var value = defeated ? this._battler.param(i) : '?';
+        this.changeTextColor(this.systemColor());
+        this.drawText(TextManager.param(i), x, y2, 160);
+        this.resetTextColor();
+        this.drawText(value, x + 160, y2, 80, 'right');
+    }
+};
+
+Window_BestiaryStatus.prototype.drawElements = function(y) {
+    var x = this.textPadding();
+    var width = this.contentsWidth() - x * 2 - 120;
+    var lineHeight = this.lineHeight();
+    this.changeTextColor(this.systemColor());
+    this.drawText(TextManager.weakness, x, y, 120);
+    this.drawText(TextManager.resistance, x, y + lineHeight, 120);
+    this.resetTextColor();
+    if (this.isDefeated()) {
+        this.drawText(this.elementNames(function(rate) {
+            return rate > 1;
+        }), x + 120, y, width);
+        this.drawText(this.elementNames(function(rate) {
+            return rate < 1;
+        }), x + 120, y + lineHeight, width);
+    } else {
+        this.drawText(TextManager.unknown, x + 120, y, width);
+        this.drawText(TextManager.unknown, x + 120, y + lineHeight, width);
+    }
+};
+
+Window_BestiaryStatus.prototype.elementNames = function(condition) {
+    var elements = $dataSystem.elements;
+    var names = [];
+    for (var i = 1; i < elements.length; i++) {
+        if (elements[i] && condition(this._battler.elementRate(i))) {
+            names.push(elements[i]);
+        }
+    }
+    return names.join(', ');
+};
+
+Window_BestiaryStatus.prototype.drawDropItems = function(y) {
+    var x = this.textPadding();
+    var lineHeight = this.lineHeight();
+    var drops = this._enemy.dropItems;
+    this.changeTextColor(this.systemColor());
+    this.drawText(TextManager.drops, x, y, 120);
+    this.resetTextColor();
+    var line = 0;
+    for (var i = 0; i < drops.length; i++) {
+        if (drops[i].kind > 0) {
+            var y2 = y + lineHeight * line++;
+            if ($gameSystem.isEnemyDropKnown(this._enemy.id, i)) {
+                var item = this._battler.itemObject(drops[i].kind, drops[i].dataId);
+                this.drawItemName(item, x + 120, y2);
+            } else {
+                this.drawText(TextManager.unknown, x + 120, y2, 312);
+            }
+        }
+    }
+};
\ No newline at end of file
@@ -0,0 +1,83 @@
+//-----------------------------------------------------------------------------
+// Window_CraftList
+//
+// The window for selecting a recipe on the craft screen.
+
+function Window_CraftList() {
+    this.initialize.apply(this, arguments);
+}
+
+Window_CraftList.prototype = Object.create(Window_Selectable.prototype);
+Window_CraftList.prototype.constructor = Window_CraftList;
+
+Window_CraftList.prototype.initialize = function(x, y, height, recipes) {
+    var width = this.windowWidth();
+    Window_Selectable.prototype.initialize.call(this, x, y, width, height);
+    this._recipes = recipes;
+    this.refresh();
+    this.select(0);
+};
+
+Window_CraftList.prototype.windowWidth = function() {
+    return 456;
+};
+
+Window_CraftList.prototype.maxItems = function() {
+    return this._data ? this._data.length : 1;
+};
+
+Window_CraftList.prototype.recipe = function() {
+    return this._data[this.index()];
+};
+
+Window_CraftList.prototype.item = function() {
+    var recipe = this.recipe();
+    return recipe ? $gameParty.recipeResult(recipe) : null;
+};
+
+Window_CraftList.prototype.isCurrentItemEnabled = function() {
+    return this.isEnabled(this.recipe());
+};
+
+Window_CraftList.prototype.isEnabled = function(recipe) {
+    return !!recipe && $gameParty.canCraft(recipe);
+};
+
+Window_CraftList.prototype.refresh = function() {
+    this.makeItemList();
+    this.createContents();
+    this.drawAllItems();
+};
+
+Window_CraftList.prototype.makeItemList = function() {
+    this._data = this._recipes.filter(function(recipe) {
+        return $gameParty.isRecipeAvailable(recipe);
+    });
+};
+
+Window_CraftList.prototype.drawItem = function(index) {
+    var recipe = this._data[index];
+    var rect = this.itemRect(index);
+    var numberWidth = this.textWidth('×000');
+    rect.width -= this.textPadding();
+    this.changePaintOpacity(this.isEnabled(recipe));
+    this.drawItemName($gameParty.recipeResult(recipe), rect.x, rect.y,
+                      rect.width - numberWidth);
+    if ((recipe.result.amount || 1) > 1) {
+        this.drawText('×' + recipe.result.amount, rect.x, rect.y,
+                      rect.width, 'right');
+    }
+    this.changePaintOpacity(true);
+};
+
+Window_CraftList.prototype.setStatusWindow = function(statusWindow) {
+    this._statusWindow = statusWindow;
+    this.callUpdateHelp();
+};
+
+Window_CraftList.prototype.updateHelp = function() {
+    this.setHelpWindowItem(this.item());
+    if (this._statusWindow) {
+        this._statusWindow.setRecipe(this.recipe());
+    }
+};
\ No newline at end of file
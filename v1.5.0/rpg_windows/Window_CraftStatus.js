@@ -0,0 +1,67 @@
+//-----------------------------------------------------------------------------
+// Window_CraftStatus
+//
+// The window for displaying the ingredients and cost of a recipe on the craft
+// screen.
+
+function Window_CraftStatus() {
+    this.initialize.apply(this, arguments);
+}
+
+Window_CraftStatus.prototype = Object.create(Window_Base.prototype);
+Window_CraftStatus.prototype.constructor = Window_CraftStatus;
+
+Window_CraftStatus.prototype.initialize = function(x, y, width, height) {
+    Window_Base.prototype.initialize.call(this, x, y, width, height);
+    this._recipe = null;
+    this.refresh();
+};
+
+Window_CraftStatus.prototype.setRecipe = function(recipe) {
+    this._recipe = recipe;
+    this.refresh();
+};
+
+Window_CraftStatus.prototype.refresh = function() {
+    this.contents.clear();
+    if (this._recipe) {
+        var x = this.textPadding();
+        var lineHeight = this.lineHeight();
+        this.drawPossession(x, 0);
+        this.drawIngredients(x, lineHeight * 2);
+    }
+};
+
+Window_CraftStatus.prototype.drawPossession = function(x, y) {
+    var item = $gameParty.recipeResult(this._recipe);
+    var width = this.contents.width - this.textPadding() - x;
+    var possessionWidth = this.textWidth('0000');
+    this.changeTextColor(this.systemColor());
+    this.drawText(TextManager.possession, x, y, width - possessionWidth);
+    this.resetTextColor();
+    this.drawText($gameParty.numItems(item), x, y, width, 'right');
+};
+
+Window_CraftStatus.prototype.drawIngredients = function(x, y) {
+    var width = this.contents.width - this.textPadding() - x;
+    var numberWidth = this.textWidth('00/00');
+    var lineHeight = this.lineHeight();
+    this.changeTextColor(this.systemColor());
+    this.drawText(TextManager.ingredients, x, y, width);
+    (this._recipe.ingredients || []).forEach(function(ingredient) {
+        var item = $gameParty.recipeItem(ingredient);
+        var need = ingredient.amount || 1;
+        var have = $gameParty.numItems(item);
+        y += lineHeight;
+        this.changePaintOpacity(have >= need);
+        this.drawItemName(item, x, y, width - numberWidth);
+        this.drawText(have + '/' + need, x, y, width, 'right');
+        this.changePaintOpacity(true);
+    }, this);
+    if (this._recipe.gold > 0) {
+        y += lineHeight;
+        this.changePaintOpacity($gameParty.gold() >= this._recipe.gold);
+        this.drawCurrencyValue(this._recipe.gold, TextManager.currencyUnit, x, y, width);
+        this.changePaintOpacity(true);
+    }
+};
\ No newline at end of file
@@ -0,0 +1,57 @@
+//-----------------------------------------------------------------------------
+// Window_EncyclopediaList
+//
+// The window for browsing every item in the database on the encyclopedia
+// screen. Items the party has never obtained are shown as unknown.
+
+function Window_EncyclopediaList() {
+    this.initialize.apply(this, arguments);
+}
+
+Window_EncyclopediaList.prototype = Object.create(Window_ItemList.prototype);
+Window_EncyclopediaList.prototype.constructor = Window_EncyclopediaList;
+
+Window_EncyclopediaList.prototype.initialize = function(x, y, width, height) {
+    Window_ItemList.prototype.initialize.call(this, x, y, width, height);
+};
+
+Window_EncyclopediaList.prototype.needsNumber = function() {
+    return false;
+};
+
+Window_EncyclopediaList.prototype.isEnabled = function(item) {
+    return !!item && $gameSystem.isItemObtained(item);
+};
+
+Window_EncyclopediaList.prototype.makeItemList = function() {
+    var items = $dataItems.concat($dataWeapons, $dataArmors);
+    this._data = items.filter(function(item) {
+        return item && item.name && this.includes(item);
+    }, this);
+};
+
+Window_EncyclopediaList.prototype.selectLast = function() {
+    this.select(0);
+};
+
+Window_EncyclopediaList.prototype.drawItem = function(index) {
+    var item = this._data[index];
+    if (item) {
+        var rect = this.itemRect(index);
+        rect.width -= this.textPadding();
+        if (this.isEnabled(item)) {
+            this.drawItemName(item, rect.x, rect.y, rect.width);
+        } else {
+            var iconBoxWidth = Window_Base._iconWidth + 4;
+            this.changePaintOpacity(false);
+            this.drawText(TextManager.unknown, rect.x + iconBoxWidth, rect.y,
+                          rect.width - iconBoxWidth);
+            this.changePaintOpacity(true);
+        }
+    }
+};
+
+Window_EncyclopediaList.prototype.updateHelp = function() {
+    var item = this.item();
+    this.setHelpWindowItem(this.isEnabled(item) ? item : null);
+};
\ No newline at end of file
@@ -34,5 +34,6 @@ Window_Help.prototype.setItem = function(item) {
 
 Window_Help.prototype.refresh = function() {
     this.contents.clear();
-    this.drawTextEx(this._text, this.textPadding(), 0);
+    var width = this.contents.width - this.textPadding() * 2;
+    this.drawTextEx(this._text, this.textPadding(), 0, width);
 };
\ No newline at end of file
@@ -32,6 +32,8 @@ Window_MenuCommand.prototype.numVisibleRows = function() {
 Window_MenuCommand.prototype.makeCommandList = function() {
     this.addMainCommands();
     this.addFormationCommand();
+    this.addQuestCommand();
+    this.addCollectionCommands();
     this.addOriginalCommands();
     this.addOptionsCommand();
     this.addSaveCommand();
@@ -61,6 +63,21 @@ Window_MenuCommand.prototype.addFormationCommand = function() {
     }
 };
 
+Window_MenuCommand.prototype.addQuestCommand = function() {
+    if (this.needsCommand('quest')) {
+        this.addCommand(TextManager.quest, 'quest');
+    }
+};
+
+Window_MenuCommand.prototype.addCollectionCommands = function() {
+    if (this.needsCommand('bestiary')) {
+        this.addCommand(TextManager.bestiary, 'bestiary');
+    }
+    if (this.needsCommand('encyclopedia')) {
+        this.addCommand(TextManager.encyclopedia, 'encyclopedia');
+    }
+};
+
 Window_MenuCommand.prototype.addOriginalCommands = function() {
 };
 
@@ -100,6 +100,8 @@ Window_Message.prototype.startMessage = function() {
     this._textState = {};
     this._textState.index = 0;
     this._textState.text = this.convertEscapeCharacters($gameMessage.allText());
+    this._textState.width = this.contents.width - this.newLineX();
+    this._textState.text = this.wrapText(this._textState.text, this._textState.width);
     this.newPage(this._textState);
     this.updatePlacement();
     this.updateBackground();
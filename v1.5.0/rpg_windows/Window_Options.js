@@ -36,6 +36,9 @@ Window_Options.prototype.makeCommandList = function() {
 Window_Options.prototype.addGeneralOptions = function() {
     this.addCommand(TextManager.alwaysDash, 'alwaysDash');
     this.addCommand(TextManager.commandRemember, 'commandRemember');
+    if ($gameSystem.isAtb()) {
+        this.addCommand(TextManager.atbActive, 'atbActive');
+    }
 };
 
 Window_Options.prototype.addVolumeOptions = function() {
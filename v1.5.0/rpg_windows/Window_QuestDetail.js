@@ -0,0 +1,107 @@
+//-----------------------------------------------------------------------------
+// Window_QuestDetail
+//
+// The window for displaying the objectives and rewards of a quest on the quest
+// screen.
+
+function Window_QuestDetail() {
+    this.initialize.apply(this, arguments);
+}
+
+Window_QuestDetail.prototype = Object.create(Window_Base.prototype);
+Window_QuestDetail.prototype.constructor = Window_QuestDetail;
+
+Window_QuestDetail.prototype.initialize = function(x, y, width, height) {
+    Window_Base.prototype.initialize.call(this, x, y, width, height);
+    this._quest = null;
+    this.refresh();
+};
+
+Window_QuestDetail.prototype.setQuest = function(quest) {
+    if (this._quest !== quest) {
+        this._quest = quest;
+        this.refresh();
+    }
+};
+
+Window_QuestDetail.prototype.refresh = function() {
+    this.contents.clear();
+    if (this._quest) {
+        var lineHeight = this.lineHeight();
+        this.drawState(0);
+        var y = this.drawObjectives(lineHeight * 1);
+        this.drawRewards(y + lineHeight);
+    }
+};
+
+Window_QuestDetail.prototype.stateText = function() {
+    switch ($gameQuests.state(this._quest.id)) {
+    case 'active':
+        return TextManager.questActive;
+    case 'completed':
+        return TextManager.questCompleted;
+    case 'failed':
+        return TextManager.questFailed;
+    default:
+        return '';
+    }
+};
+
+Window_QuestDetail.prototype.drawState = function(y) {
+    var x = this.textPadding();
+    var width = this.contentsWidth() - x * 2;
+    this.drawItemName(this._quest, x, y, width);
+    this.changeTextColor(this.systemColor());
+    this.drawText(this.stateText(), x, y, width, 'right');
+    this.resetTextColor();
+};
+
+Window_QuestDetail.prototype.drawObjectives = function(y) {
+    var x = this.textPadding();
+    var width = this.contentsWidth() - x * 2;
+    var lineHeight = this.lineHeight();
+    var questId = this._quest.id;
+    var objectives = this._quest.objectives || [];
+    this.changeTextColor(this.systemColor());
+    this.drawText(TextManager.questObjectives, x, y, width);
+    this.resetTextColor();
+    for (var i = 0; i < objectives.length; i++) {
+        var y2 = y + lineHeight * (i + 1);
+        var count = $gameQuests.objectiveCount(questId, i);
+        this.changePaintOpacity(!$gameQuests.isObjectiveComplete(questId, i));
+        this.drawText(objectives[i].text, x + 24, y2, width - 144);
+        if (count > 1) {
+            var progress = $gameQuests.objectiveProgress(questId, i);
+            this.drawText(progress + '/' + count, x, y2, width, 'right');
+        }
+        this.changePaintOpacity(true);
+    }
+    return y + lineHeight * (objectives.length + 1);
+};
+
+Window_QuestDetail.prototype.drawRewards = function(y) {
+    var x = this.textPadding();
+    var width = this.contentsWidth() - x * 2;
+    var lineHeight = this.lineHeight();
+    var rewards = this._quest.rewards || {};
+    this.changeTextColor(this.systemColor());
+    this.drawText(TextManager.questRewards, x, y, width);
+    y += lineHeight;
+    if (rewards.gold) {
+        this.drawCurrencyValue(rewards.gold, TextManager.currencyUnit, x + 24, y, 240);
+        y += lineHeight;
+    }
+    if (rewards.exp) {
+        this.drawCurrencyValue(rewards.exp, TextManager.exp, x + 24, y, 240);
+        y += lineHeight;
+    }
+    (rewards.items || []).forEach(function(reward) {
+        var item = $gameQuests.rewardItem(reward);
+        if (item) {
+            this.drawItemName(item, x + 24, y, width - 24);
+            this.drawText('×' + (reward.amount || 1), x, y, width, 'right');
+            y += lineHeight;
+        }
+    }, this);
+    this.resetTextColor();
+};
\ No newline at end of file
@@ -0,0 +1,64 @@
+//-----------------------------------------------------------------------------
+// Window_QuestList
+//
+// The window for selecting a quest on the quest screen.
+
+function Window_QuestList() {
+    this.initialize.apply(this, arguments);
+}
+
+Window_QuestList.prototype = Object.create(Window_Selectable.prototype);
+Window_QuestList.prototype.constructor = Window_QuestList;
+
+Window_QuestList.prototype.initialize = function(x, y, width, height) {
+    Window_Selectable.prototype.initialize.call(this, x, y, width, height);
+    this._data = [];
+    this.refresh();
+};
+
+Window_QuestList.prototype.maxItems = function() {
+    return this._data ? this._data.length : 1;
+};
+
+Window_QuestList.prototype.quest = function() {
+    var index = this.index();
+    return this._data && index >= 0 ? this._data[index] : null;
+};
+
+Window_QuestList.prototype.makeItemList = function() {
+    this._data = [];
+    ['active', 'completed', 'failed'].forEach(function(state) {
+        $gameQuests.questIds(state).forEach(function(questId) {
+            this._data.push($gameQuests.quest(questId));
+        }, this);
+    }, this);
+};
+
+Window_QuestList.prototype.drawItem = function(index) {
+    var quest = this._data[index];
+    if (quest) {
+        var rect = this.itemRect(index);
+        rect.width -= this.textPadding();
+        this.changePaintOpacity($gameQuests.isActive(quest.id));
+        this.drawItemName(quest, rect.x, rect.y, rect.width);
+        this.changePaintOpacity(true);
+    }
+};
+
+Window_QuestList.prototype.setDetailWindow = function(detailWindow) {
+    this._detailWindow = detailWindow;
+    this.callUpdateHelp();
+};
+
+Window_QuestList.prototype.updateHelp = function() {
+    this.setHelpWindowItem(this.quest());
+    if (this._detailWindow) {
+        this._detailWindow.setQuest(this.quest());
+    }
+};
+
+Window_QuestList.prototype.refresh = function() {
+    this.makeItemList();
+    this.createContents();
+    this.drawAllItems();
+};
\ No newline at end of file
@@ -21,7 +21,27 @@ Window_SavefileList.prototype.setMode = function(mode) {
 };
 
 Window_SavefileList.prototype.maxItems = function() {
-    return DataManager.maxSavefiles();
+    return DataManager.allSavefileIds().length;
+};
+
+Window_SavefileList.prototype.savefileId = function(index) {
+    return DataManager.allSavefileIds()[index];
+};
+
+Window_SavefileList.prototype.indexOf = function(savefileId) {
+    return DataManager.allSavefileIds().indexOf(savefileId);
+};
+
+Window_SavefileList.prototype.isEnabled = function(savefileId) {
+    if (this._mode === 'save') {
+        return DataManager.isManualSavefileId(savefileId);
+    } else {
+        return DataManager.isSavefileVersionSupported(savefileId);
+    }
+};
+
+Window_SavefileList.prototype.isCurrentItemEnabled = function() {
+    return this.isEnabled(this.savefileId(this.index()));
 };
 
 Window_SavefileList.prototype.maxVisibleItems = function() {
@@ -34,30 +54,46 @@ Window_SavefileList.prototype.itemHeight = function() {
 };
 
 Window_SavefileList.prototype.drawItem = function(index) {
-    var id = index + 1;
+    var id = this.savefileId(index);
     var valid = DataManager.isThisGameFile(id);
     var info = DataManager.loadSavefileInfo(id);
     var rect = this.itemRectForText(index);
     this.resetTextColor();
     if (this._mode === 'load') {
-        this.changePaintOpacity(valid);
+        this.changePaintOpacity(valid && this.isEnabled(id));
+    } else {
+        this.changePaintOpacity(this.isEnabled(id));
     }
     this.drawFileId(id, rect.x, rect.y);
     if (info) {
-        this.changePaintOpacity(valid);
+        this.changePaintOpacity(valid && this.isEnabled(id));
         this.drawContents(info, rect, valid);
         this.changePaintOpacity(true);
     }
 };
 
 Window_SavefileList.prototype.drawFileId = function(id, x, y) {
-    this.drawText(TextManager.file + ' ' + id, x, y, 180);
+    this.drawText(this.fileName(id), x, y, 180);
+};
+
+Window_SavefileList.prototype.fileName = function(id) {
+    if (DataManager.isQuicksaveId(id)) {
+        return TextManager.quicksave;
+    } else if (DataManager.isAutosaveId(id)) {
+        return TextManager.autosave + ' ' + (id - DataManager.autosaveId(0) + 1);
+    } else {
+        return TextManager.file + ' ' + id;
+    }
 };
 
 Window_SavefileList.prototype.drawContents = function(info, rect, valid) {
     var bottom = rect.y + rect.height;
     if (rect.width >= 420) {
-        this.drawGameTitle(info, rect.x + 192, rect.y, rect.width - 192);
+        if (DataManager.isSaveVersionSupported(info.version)) {
+            this.drawGameTitle(info, rect.x + 192, rect.y, rect.width - 192);
+        } else {
+            this.drawText(TextManager.newerSave, rect.x + 192, rect.y, rect.width - 192);
+        }
         if (valid) {
             this.drawPartyCharacters(info, rect.x + 220, bottom - 4);
         }
@@ -40,13 +40,11 @@ Window_ScrollText.prototype.startMessage = function() {
 };
 
 Window_ScrollText.prototype.refresh = function() {
-    var textState = { index: 0 };
-    textState.text = this.convertEscapeCharacters(this._text);
-    this.resetFontSettings();
-    this._allTextHeight = this.calcTextHeight(textState, true);
+    var width = this.contentsWidth() - this.textPadding() * 2;
+    this._allTextHeight = this.measureTextEx(this._text, width).height;
     this.createContents();
     this.origin.y = -this.height;
-    this.drawTextEx(this._text, this.textPadding(), 1);
+    this.drawTextEx(this._text, this.textPadding(), 1, width);
 };
 
 Window_ScrollText.prototype.contentsHeight = function() {
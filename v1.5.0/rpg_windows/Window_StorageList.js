@@ -0,0 +1,70 @@
+//-----------------------------------------------------------------------------
+// Window_StorageList
+//
+// The window for selecting an item to deposit or withdraw on the storage
+// screen. It lists the party's items when deposit is true and the items in the
+// named container otherwise.
+
+function Window_StorageList() {
+    this.initialize.apply(this, arguments);
+}
+
+Window_StorageList.prototype = Object.create(Window_ItemList.prototype);
+Window_StorageList.prototype.constructor = Window_StorageList;
+
+Window_StorageList.prototype.initialize = function(x, y, width, height, name, deposit) {
+    Window_ItemList.prototype.initialize.call(this, x, y, width, height);
+    this._name = name;
+    this._deposit = deposit;
+    this.refresh();
+};
+
+Window_StorageList.prototype.maxCols = function() {
+    return 1;
+};
+
+Window_StorageList.prototype.source = function() {
+    return this._deposit ? $gameParty : $gameParty.container(this._name);
+};
+
+Window_StorageList.prototype.includes = function(item) {
+    return !!item && !(DataManager.isItem(item) && item.itypeId === 2);
+};
+
+Window_StorageList.prototype.isEnabled = function(item) {
+    if (!item) {
+        return false;
+    } else if (this._deposit) {
+        return $gameParty.maxDeposit(this._name, item) > 0;
+    } else {
+        return $gameParty.maxWithdraw(this._name, item) > 0;
+    }
+};
+
+Window_StorageList.prototype.maxTransfer = function() {
+    var item = this.item();
+    if (this._deposit) {
+        return $gameParty.maxDeposit(this._name, item);
+    } else {
+        return $gameParty.maxWithdraw(this._name, item);
+    }
+};
+
+Window_StorageList.prototype.makeItemList = function() {
+    var source = this.source();
+    this._data = source ? source.allItems().filter(function(item) {
+        return this.includes(item);
+    }, this) : [];
+};
+
+Window_StorageList.prototype.selectLast = function() {
+    this.select(Math.min(Math.max(this.index(), 0), this.maxItems() - 1));
+};
+
+// The number column fits the largest stack, since containers may hold more
+// than 99 of an item.
+Window_StorageList.prototype.drawItemNumber = function(item, x, y, width) {
+    var digits = String(this.source().maxItems(item)).length;
+    this.drawText(':', x, y, width - this.textWidth(''.padZero(digits)), 'right');
+    this.drawText(this.source().numItems(item), x, y, width, 'right');
+};
\ No newline at end of file
@@ -0,0 +1,18 @@
+//-----------------------------------------------------------------------------
+// Window_StorageNumber
+//
+// The window for inputting quantity of items to move on the storage screen.
+
+function Window_StorageNumber() {
+    this.initialize.apply(this, arguments);
+}
+
+Window_StorageNumber.prototype = Object.create(Window_ShopNumber.prototype);
+Window_StorageNumber.prototype.constructor = Window_StorageNumber;
+
+Window_StorageNumber.prototype.initialize = function(x, y, height) {
+    Window_ShopNumber.prototype.initialize.call(this, x, y, height);
+};
+
+Window_StorageNumber.prototype.drawTotalPrice = function() {
+};
\ No newline at end of file
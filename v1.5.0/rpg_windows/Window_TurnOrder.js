@@ -0,0 +1,71 @@
+//-----------------------------------------------------------------------------
+// Window_TurnOrder
+//
+// The window for displaying the upcoming turn order in CTB battles.
+
+function Window_TurnOrder() {
+    this.initialize.apply(this, arguments);
+}
+
+Window_TurnOrder.prototype = Object.create(Window_Base.prototype);
+Window_TurnOrder.prototype.constructor = Window_TurnOrder;
+
+Window_TurnOrder.prototype.initialize = function() {
+    var width = this.windowWidth();
+    var height = this.windowHeight();
+    Window_Base.prototype.initialize.call(this, 0, 0, width, height);
+    this._battlers = [];
+    this.refresh();
+};
+
+Window_TurnOrder.prototype.windowWidth = function() {
+    return Graphics.boxWidth;
+};
+
+Window_TurnOrder.prototype.windowHeight = function() {
+    return this.fittingHeight(1);
+};
+
+Window_TurnOrder.prototype.maxItems = function() {
+    return 6;
+};
+
+Window_TurnOrder.prototype.itemWidth = function() {
+    return Math.floor(this.contents.width / this.maxItems());
+};
+
+Window_TurnOrder.prototype.update = function() {
+    Window_Base.prototype.update.call(this);
+    var battlers = BattleManager.predictActionOrder(this.maxItems());
+    if (!this.isSameOrder(battlers)) {
+        this._battlers = battlers;
+        this.refresh();
+    }
+};
+
+Window_TurnOrder.prototype.isSameOrder = function(battlers) {
+    return (battlers.length === this._battlers.length &&
+            battlers.every(function(battler, index) {
+                return battler === this._battlers[index];
+            }, this));
+};
+
+Window_TurnOrder.prototype.refresh = function() {
+    this.contents.clear();
+    this._battlers.forEach(function(battler, index) {
+        this.drawItem(index, battler);
+    }, this);
+};
+
+Window_TurnOrder.prototype.drawItem = function(index, battler) {
+    var width = this.itemWidth();
+    var x = index * width + this.textPadding();
+    this.changePaintOpacity(index === 0);
+    this.changeTextColor(this.battlerColor(battler));
+    this.drawText(battler.name(), x, 0, width - this.textPadding() * 2);
+    this.changePaintOpacity(true);
+};
+
+Window_TurnOrder.prototype.battlerColor = function(battler) {
+    return battler.isActor() ? this.normalColor() : this.textColor(2);
+};
\ No newline at end of file
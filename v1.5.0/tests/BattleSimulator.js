@@ -0,0 +1,36 @@
+//-----------------------------------------------------------------------------
+// BattleSimulator
+//
+// Runs the troop in tests/data against the test battlers and checks the
+// statistics. The game objects are left for the simulator to create.
+
+var assert = require('assert');
+var loader = require('./loader');
+
+var context = loader.createContext();
+context.dataDirectory = loader.dataDirectory;
+loader.run(context, 'BattleSimulator.loadDatabase(dataDirectory);');
+
+var stats = loader.run(context, 'BattleSimulator.run(1, { runs: 5, seed: 1 });');
+assert.strictEqual(stats.runs, 5);
+assert.strictEqual(stats.wins + stats.losses + stats.escapes + stats.timeouts, 5);
+assert.strictEqual(stats.wins, 5);
+assert.ok(stats.minTurns > 0 && stats.minTurns <= stats.maxTurns);
+assert.ok(stats.averageDamageDealt > 0);
+
+var again = loader.run(context, 'BattleSimulator.run(1, { runs: 5, seed: 1 });');
+assert.deepStrictEqual(again.results, stats.results);
+
+var escape = loader.run(context,
+    "BattleSimulator.run(1, { chooseActions: function() { return 'escape'; } });");
+assert.strictEqual(escape.runs, 1);
+assert.strictEqual(escape.wins, 0);
+
+var empty = loader.run(context, 'BattleSimulator.makeStatistics([]);');
+assert.strictEqual(empty.runs, 0);
+assert.strictEqual(empty.minTurns, 0);
+assert.strictEqual(empty.maxTurns, 0);
+assert.strictEqual(empty.averageTurns, 0);
+assert.strictEqual(empty.winRate, 0);
+
+console.log('BattleSimulator: ok');
\ No newline at end of file
@@ -0,0 +1,62 @@
+//-----------------------------------------------------------------------------
+// DamageFormula
+//
+// Parses and evaluates formulas against plain battler objects.
+
+var assert = require('assert');
+var loader = require('./loader');
+
+var context = loader.createContext();
+
+context.a = {
+    atk: 40, def: 10, mat: 30, level: 5, hp: 50, mhp: 200,
+    hpRate: function() { return this.hp / this.mhp; },
+    isStateAffected: function(stateId) { return stateId === 4; }
+};
+context.b = { atk: 20, def: 15, mat: 10, level: 3, hp: 80, mhp: 100 };
+context.v = [0, 7, 12];
+
+function evaluate(source, random) {
+    context.source = source;
+    context.random = random;
+    return loader.run(context, 'DamageFormula.compile(source).evaluate(a, b, v, random);');
+}
+
+function error(source) {
+    context.source = source;
+    return loader.run(context, 'new DamageFormula(source).error;');
+}
+
+assert.strictEqual(evaluate('a.atk * 4 - b.def * 2'), 130);
+assert.strictEqual(evaluate('-(a.atk - b.atk) + 2 * 3'), -14);
+assert.strictEqual(evaluate('10 % 4 + .5'), 2.5);
+assert.strictEqual(evaluate('v[1] + v[a.level - 3] + v[99]'), 19);
+assert.strictEqual(evaluate('a.level >= 5 && b.level < 5 ? 1 : 2'), 1);
+assert.strictEqual(evaluate('a.level === 4 || !true ? 1 : 2'), 2);
+assert.strictEqual(evaluate('a.hpRate() < 0.5 ? a.mat * 3 : a.mat'), 90);
+assert.strictEqual(evaluate('a.isStateAffected(4) ? 100 : 0'), 100);
+assert.strictEqual(evaluate('Math.max(a.atk, b.atk, 100) + Math.floor(2.7)'), 102);
+assert.strictEqual(evaluate('Math.pow(2, 3) + Math.PI * 0'), 8);
+
+assert.strictEqual(error('a.atk * 4 - b.def * 2'), null);
+assert.ok(/Unknown name "window"/.test(error('window.close()')));
+assert.ok(/Unknown battler member "constructor"/.test(error('a.constructor')));
+assert.ok(/Unknown function "Math.exp"/.test(error('Math.exp(1)')));
+assert.ok(/Unexpected end/.test(error('a.atk *')));
+assert.ok(/Unexpected "\)"/.test(error('a.atk)')));
+assert.ok(/Invalid character/.test(error('a.atk; 1')));
+assert.strictEqual(evaluate('a.atk *'), 0);
+
+// Math.random and Math.randomInt draw from the given generator.
+var random1 = loader.run(context, 'new RandomGenerator(42);');
+var random2 = loader.run(context, 'new RandomGenerator(42);');
+var values1 = [];
+var values2 = [];
+for (var i = 0; i < 5; i++) {
+    values1.push(evaluate('Math.randomInt(100) + Math.random()', random1));
+    values2.push(evaluate('Math.randomInt(100) + Math.random()', random2));
+}
+assert.deepStrictEqual(values1, values2);
+assert.strictEqual(random1.state(), random2.state());
+
+console.log('DamageFormula: ok');
\ No newline at end of file
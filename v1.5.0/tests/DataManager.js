@@ -0,0 +1,65 @@
+//-----------------------------------------------------------------------------
+// DataManager
+//
+// Checks the save versions and migrations.
+
+var assert = require('assert');
+var loader = require('./loader');
+
+var context = loader.createContext();
+var DataManager = loader.run(context, 'DataManager;');
+
+assert.strictEqual(DataManager.saveVersion(), 1);
+assert.throws(function() {
+    DataManager.registerSaveMigration(0, function() {});
+}, /version 1 or later/);
+
+// Migrations run in version order, from the version of the save.
+var calls = [];
+DataManager.registerSaveMigration(3, function(contents) {
+    calls.push(3);
+    contents.gold = contents.money;
+    delete contents.money;
+});
+DataManager.registerSaveMigration(1, function(contents) {
+    calls.push(1);
+    contents.money = 0;
+});
+DataManager.registerSaveMigration(2, function(contents) {
+    calls.push(2);
+    return { money: contents.money + 100 };
+});
+assert.strictEqual(DataManager.saveVersion(), 3);
+
+var contents = DataManager.migrateSaveContents({});
+assert.deepStrictEqual(calls, [1, 2, 3]);
+assert.deepStrictEqual(contents, { gold: 100, version: 3 });
+
+calls = [];
+contents = DataManager.migrateSaveContents({ version: 2, money: 5 });
+assert.deepStrictEqual(calls, [3]);
+assert.deepStrictEqual(contents, { gold: 5, version: 3 });
+
+calls = [];
+contents = DataManager.migrateSaveContents({ version: 3, gold: 7 });
+assert.deepStrictEqual(calls, []);
+assert.deepStrictEqual(contents, { version: 3, gold: 7 });
+
+// Registering a version again replaces its migration.
+DataManager.registerSaveMigration(3, function(contents) {
+    calls.push('3b');
+});
+calls = [];
+DataManager.migrateSaveContents({ version: 2 });
+assert.deepStrictEqual(calls, ['3b']);
+
+// Saves made by a newer version of the game are rejected.
+assert.ok(DataManager.isSaveVersionSupported(undefined));
+assert.ok(DataManager.isSaveVersionSupported(3));
+assert.ok(!DataManager.isSaveVersionSupported(4));
+DataManager.checkSaveVersion({ version: 3 });
+assert.throws(function() {
+    DataManager.checkSaveVersion({ version: 4 });
+}, /newer than the game/);
+
+console.log('DataManager: ok');
\ No newline at end of file
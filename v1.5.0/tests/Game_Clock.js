@@ -0,0 +1,79 @@
+//-----------------------------------------------------------------------------
+// Game_Clock
+//
+// Checks the time math of the clock and when it refreshes the map, with a
+// map whose events have <time:6:00 18:00> pages.
+
+var assert = require('assert');
+var loader = require('./loader');
+
+var context = loader.createContext();
+loader.run(context,
+    'var refreshCount = 0;' +
+    '$dataSystem = { variables: ["", "", "", ""] };' +
+    '$gameVariables = new Game_Variables();' +
+    '$gameMap = {' +
+    '    mapId: function() { return 1; },' +
+    '    timeBoundaries: function() { return [360, 1080]; },' +
+    '    requestRefresh: function() { refreshCount++; }' +
+    '};');
+var clock = loader.run(context, 'new Game_Clock();');
+
+function refreshCount() {
+    return loader.run(context, 'refreshCount;');
+}
+
+assert.strictEqual(loader.run(context, 'Game_Clock.parseTime("6:30");'), 390);
+assert.strictEqual(loader.run(context, 'Game_Clock.parseTime("18");'), 1080);
+
+clock.setTime(13, 45);
+assert.strictEqual(clock.day(), 0);
+assert.strictEqual(clock.hour(), 13);
+assert.strictEqual(clock.minute(), 45);
+assert.strictEqual(refreshCount(), 1);
+
+clock.addMinutes(24 * 60 + 30);
+assert.deepStrictEqual([clock.day(), clock.hour(), clock.minute()], [1, 14, 15]);
+clock.setTime(23, 0);
+assert.deepStrictEqual([clock.day(), clock.hour(), clock.minute()], [1, 23, 0]);
+clock.addMinutes(-1e6);
+assert.deepStrictEqual([clock.day(), clock.hour(), clock.minute()], [0, 0, 0]);
+
+clock.setTime(5, 0);
+assert.ok(clock.isTimeBetween(300, 360));
+assert.ok(!clock.isTimeBetween(360, 1080));
+assert.ok(clock.isTimeBetween(1080, 360));
+clock.setTime(20, 0);
+assert.ok(clock.isTimeBetween(1080, 360));
+assert.ok(!clock.isTimeBetween(300, 360));
+
+// Passing time refreshes the map only when a boundary is crossed.
+clock.setTime(5, 58);
+clock.setSpeed(60); // One minute a frame
+clock.start();
+var count = refreshCount();
+for (var i = 0; i < 4; i++) {
+    clock.update(true);
+}
+assert.deepStrictEqual([clock.hour(), clock.minute()], [6, 2]);
+assert.strictEqual(refreshCount(), count + 1);
+clock.update(false);
+assert.deepStrictEqual([clock.hour(), clock.minute()], [6, 2]);
+
+var dayStart = clock.day() * 24 * 60;
+assert.ok(!clock.isBoundaryPassed(dayStart + 6 * 60 + 1));
+clock.setTime(18, 0);
+assert.ok(clock.isBoundaryPassed(dayStart + 18 * 60 - 1));
+assert.ok(!clock.isBoundaryPassed(dayStart + 18 * 60));
+assert.ok(clock.isBoundaryPassed(dayStart + 18 * 60 - 24 * 60));
+
+// The clock variables are only set when they change.
+clock.setVariables(1, 2, 3);
+assert.deepStrictEqual([1, 2, 3].map(function(id) {
+    return context.$gameVariables.value(id);
+}), [clock.day(), 18, 0]);
+count = refreshCount();
+clock.addMinutes(0);
+assert.strictEqual(refreshCount(), count + 1);
+
+console.log('Game_Clock: ok');
\ No newline at end of file
@@ -0,0 +1,53 @@
+//-----------------------------------------------------------------------------
+// PathfindingManager
+//
+// Finds paths on Map001, a 5x5 map with a wall at x = 2 that is open only on
+// the bottom row.
+
+var assert = require('assert');
+var loader = require('./loader');
+
+var context = loader.createContext();
+loader.setupGame(context, 1);
+
+function findPath(x, y, goalX, goalY, options) {
+    context.args = [x, y, goalX, goalY, options];
+    return loader.run(context,
+        'var character = new Game_Character();' +
+        'character.setPosition(args[0], args[1]);' +
+        'PathfindingManager.findPath(character, args[2], args[3], args[4]);');
+}
+
+function directions(path) {
+    return path.steps.map(function(step) {
+        return step.direction;
+    }).join('');
+}
+
+var around = findPath(0, 0, 4, 0, { searchLimit: 20 });
+assert.strictEqual(around.complete, true);
+assert.strictEqual(directions(around), '622226668888');
+
+var straight = findPath(0, 4, 4, 4, { searchLimit: 20 });
+assert.strictEqual(straight.complete, true);
+assert.strictEqual(directions(straight), '6666');
+
+var diagonal = findPath(0, 0, 1, 3, { searchLimit: 20, diagonal: true });
+assert.strictEqual(diagonal.complete, true);
+assert.strictEqual(diagonal.steps.length, 3);
+
+// Out of reach: the path leads to the closest tile found.
+var limited = findPath(0, 0, 4, 0, { searchLimit: 3 });
+assert.strictEqual(limited.complete, false);
+assert.ok(limited.steps.length > 0 && limited.steps.length <= 3);
+
+var wall = findPath(0, 0, 2, 0, { searchLimit: 20 });
+assert.strictEqual(wall.complete, false);
+var last = wall.steps[wall.steps.length - 1];
+assert.strictEqual(Math.abs(last.x - 2) + Math.abs(last.y), 1);
+
+var here = findPath(3, 3, 3, 3, { searchLimit: 20 });
+assert.strictEqual(here.complete, true);
+assert.strictEqual(here.steps.length, 0);
+
+console.log('PathfindingManager: ok');
\ No newline at end of file
@@ -0,0 +1,128 @@
+//-----------------------------------------------------------------------------
+// PluginManager
+//
+// Checks the load order of plugins, typed parameters and plugin commands.
+
+var assert = require('assert');
+var loader = require('./loader');
+
+var context = loader.createContext();
+var PluginManager = loader.run(context, 'PluginManager;');
+var warnings = [];
+PluginManager.warnParameter = function(path, message) {
+    warnings.push(path + ': ' + message);
+};
+
+function names(plugins) {
+    return loader.plain(plugins.map(function(plugin) {
+        return plugin.name;
+    }));
+}
+
+// Load order
+var plugins = loader.copy(context, [
+    { name: 'A', after: 'C' },
+    { name: 'B' },
+    { name: 'C', requires: ['D'] },
+    { name: 'D' },
+    { name: 'E', before: ['B', 'Missing'] }
+]);
+assert.deepStrictEqual(loader.plain(PluginManager.checkDependencies(plugins)), []);
+assert.deepStrictEqual(names(PluginManager.sortPlugins(plugins)), ['D', 'C', 'A', 'E', 'B']);
+assert.deepStrictEqual(names(PluginManager.sortPlugins(plugins.slice(1, 2))), ['B']);
+
+function checkDependencies(plugins) {
+    return loader.plain(PluginManager.checkDependencies(loader.copy(context, plugins)));
+}
+
+assert.deepStrictEqual(checkDependencies([{ name: 'A', requires: 'B' }]),
+                       ['A requires B, which is missing or disabled']);
+assert.deepStrictEqual(checkDependencies([
+    { name: 'A', after: 'B', before: 'C' },
+    { name: 'B', after: 'C' },
+    { name: 'C' }
+]), ['Circular load order: A -> C -> B -> A']);
+assert.deepStrictEqual(checkDependencies([{ name: 'A', coreVersion: '1.6' }]),
+                       ['A requires core version 1.6 or later (current 1.5.0)']);
+assert.deepStrictEqual(checkDependencies([{ name: 'A', coreVersion: '1.5' }]), []);
+
+assert.strictEqual(PluginManager.compareVersions('1.5.0', '1.5'), 0);
+assert.strictEqual(PluginManager.compareVersions('1.10', '1.9'), 1);
+assert.strictEqual(PluginManager.compareVersions('1.4.9', '1.5'), -1);
+
+// Typed parameters
+PluginManager.setParameters('Test', {
+    speed: '9',
+    enabled: 'true',
+    mode: 'slow',
+    help: '"Line 1\\nLine 2"',
+    enemies: '["{\\"id\\":\\"3\\",\\"note\\":\\"\\\\\\"x\\\\\\"\\"}"]',
+    counts: '["1","x"]',
+    extra: '1'
+});
+var parameters = PluginManager.typedParameters('Test', loader.copy(context, {
+    speed: { type: 'number', default: 4, min: 1, max: 6 },
+    enabled: 'boolean',
+    mode: { type: 'select', options: ['fast', 'slow'] },
+    help: 'note',
+    enemies: { type: 'array', items: { type: 'struct', struct: {
+        id: 'number',
+        note: 'note'
+    }}},
+    counts: { type: 'array', items: { type: 'number', default: -1 } },
+    title: { type: 'string', default: 'None' },
+    level: { type: 'number', min: 1 }
+}));
+assert.deepStrictEqual(loader.plain(parameters), {
+    speed: 6,
+    enabled: true,
+    mode: 'slow',
+    help: 'Line 1\nLine 2',
+    enemies: [{ id: 3, note: 'x' }],
+    counts: [1, -1],
+    title: 'None',
+    level: 1
+});
+assert.deepStrictEqual(warnings, [
+    'Plugin parameter Test.extra: unknown parameter',
+    'Plugin parameter Test.speed: 9 is greater than 6',
+    'Plugin parameter Test.counts[1]: "x" is not a number'
+]);
+
+// Plugin commands
+warnings = [];
+context.$gameVariables = { value: function(variableId) { return variableId * 10; } };
+var received = null;
+PluginManager.registerCommand('Test', 'run', loader.copy(context, [
+    'label',
+    { name: 'count', type: 'number', default: 1 },
+    { name: 'ids', type: 'array', items: 'number' }
+]), function(args) {
+    received = args;
+});
+var tokens = PluginManager.splitCommandText('"two words" \\V[2] [1, 2, 5]');
+assert.deepStrictEqual(loader.plain(tokens), ['two words', '20', '[1, 2, 5]']);
+assert.ok(PluginManager.isCommandRegistered('test.RUN'));
+PluginManager.callCommand(null, 'Test.run', tokens);
+assert.deepStrictEqual(loader.plain(received),
+                       { label: 'two words', count: 20, ids: [1, 2, 5] });
+PluginManager.callCommand(null, 'Test.run', loader.copy(context, ['x']));
+assert.deepStrictEqual(loader.plain(received),
+                       { label: 'x', count: 1, ids: [] });
+assert.deepStrictEqual(warnings, []);
+
+// Commands of plugins that override pluginCommand are not reported.
+var consoleWarn = console.warn;
+var unknownCommands = [];
+console.warn = function(message) {
+    unknownCommands.push(message);
+};
+context.$gameTemp = { isPlaytest: function() { return true; } };
+PluginManager.warnUnknownCommand('ShowQuestLog');
+PluginManager.warnUnknownCommand('Test.missing');
+PluginManager.warnUnknownCommand('Test.missing');
+console.warn = consoleWarn;
+assert.strictEqual(unknownCommands.length, 1);
+assert.ok(/Test\.missing/.test(unknownCommands[0]));
+
+console.log('PluginManager: ok');
\ No newline at end of file
@@ -0,0 +1,55 @@
+//-----------------------------------------------------------------------------
+// RandomGenerator
+//
+// Checks that seeded generators and the streams of Game_Random repeat.
+
+var assert = require('assert');
+var loader = require('./loader');
+
+var context = loader.createContext();
+
+function numbers(generator, count) {
+    var result = [];
+    for (var i = 0; i < count; i++) {
+        result.push(generator.random());
+    }
+    return result;
+}
+
+var generator1 = loader.run(context, 'new RandomGenerator(1234);');
+var generator2 = loader.run(context, 'new RandomGenerator(1234);');
+var generator3 = loader.run(context, 'new RandomGenerator(1235);');
+var sequence = numbers(generator1, 100);
+assert.deepStrictEqual(numbers(generator2, 100), sequence);
+assert.notDeepStrictEqual(numbers(generator3, 100), sequence);
+sequence.forEach(function(value) {
+    assert.ok(value >= 0 && value < 1);
+});
+
+// The state can be saved and restored to repeat the sequence.
+var state = generator1.state();
+var next = numbers(generator1, 10);
+generator1.setState(state);
+assert.deepStrictEqual(numbers(generator1, 10), next);
+
+var generator4 = loader.run(context, 'new RandomGenerator(99);');
+for (var i = 0; i < 100; i++) {
+    var value = generator4.randomInt(6);
+    assert.ok(value >= 0 && value < 6 && value === Math.floor(value));
+}
+
+// Streams are independent: drawing from one does not shift another.
+var random1 = loader.run(context, 'new Game_Random(7);');
+var random2 = loader.run(context, 'new Game_Random(7);');
+random1.random('escape');
+random1.random('escape');
+assert.strictEqual(random1.random('action'), random2.random('action'));
+assert.notStrictEqual(random2.random('action'), random2.random('escape'));
+
+var snapshot = random1.makeSnapshot();
+var expected = [random1.random('action'), random1.random('escape')];
+var random3 = loader.run(context, 'new Game_Random();');
+random3.restoreSnapshot(snapshot);
+assert.deepStrictEqual([random3.random('action'), random3.random('escape')], expected);
+
+console.log('RandomGenerator: ok');
\ No newline at end of file
@@ -0,0 +1,74 @@
+//-----------------------------------------------------------------------------
+// StorageManager
+//
+// Saves, loads and restores save files through the memory backend, including
+// save files that were damaged.
+
+var assert = require('assert');
+var loader = require('./loader');
+
+var context = loader.createContext();
+
+// LZString is a library outside the engine scripts, so base64 stands in for
+// its compression.
+context.LZString = {
+    compressToBase64: function(text) {
+        return Buffer.from(text).toString('base64');
+    },
+    decompressFromBase64: function(data) {
+        return data ? Buffer.from(data, 'base64').toString() : null;
+    }
+};
+
+var StorageManager = loader.run(context, 'StorageManager;');
+var backend = loader.run(context, 'new MemoryStorageBackend();');
+StorageManager.setBackend(backend);
+
+StorageManager.save(1, '{"gold":1}');
+assert.ok(StorageManager.exists(1));
+assert.ok(!StorageManager.exists(2));
+assert.strictEqual(StorageManager.load(1), '{"gold":1}');
+assert.ok(!StorageManager.isSaving());
+assert.strictEqual(StorageManager.lastError(), null);
+
+// The backup keeps the previous data until it is restored or cleaned.
+StorageManager.backup(1);
+StorageManager.save(1, '{"gold":2}');
+assert.ok(StorageManager.backupExists(1));
+assert.strictEqual(StorageManager.load(1), '{"gold":2}');
+StorageManager.restoreBackup(1);
+assert.strictEqual(StorageManager.load(1), '{"gold":1}');
+assert.ok(!StorageManager.backupExists(1));
+
+StorageManager.backup(1);
+StorageManager.cleanBackup(1);
+assert.ok(!StorageManager.backupExists(1));
+StorageManager.remove(1);
+assert.ok(!StorageManager.exists(1));
+
+// A damaged save is replaced by its backup when it is loaded.
+function damage(savefileId) {
+    var data = backend.load(savefileId);
+    var last = data.slice(-1) === 'A' ? 'B' : 'A';
+    backend.save(savefileId, data.slice(0, -1) + last);
+}
+
+StorageManager.save(3, '{"gold":1}');
+StorageManager.backup(3);
+StorageManager.save(3, '{"gold":2}');
+damage(3);
+assert.ok(!StorageManager.isRestored(3));
+assert.strictEqual(StorageManager.load(3), '{"gold":1}');
+assert.ok(StorageManager.isRestored(3));
+assert.strictEqual(StorageManager.load(3), '{"gold":1}');
+StorageManager.clearRestored(3);
+assert.ok(!StorageManager.isRestored(3));
+
+StorageManager.save(4, '{"gold":1}');
+damage(4);
+assert.throws(function() {
+    StorageManager.load(4);
+}, /checksum mismatch/);
+assert.ok(!StorageManager.isRestored(4));
+
+console.log('StorageManager: ok');
\ No newline at end of file
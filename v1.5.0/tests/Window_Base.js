@@ -0,0 +1,54 @@
+//-----------------------------------------------------------------------------
+// Window_Base
+//
+// Checks word wrapping and text measurement, with every character 10 pixels
+// wide.
+
+var assert = require('assert');
+var loader = require('./loader');
+
+var context = loader.createContext();
+loader.run(context,
+    'function Window() {}' +
+    '$gameVariables = { value: function(variableId) { return variableId; } };' +
+    '$gameSystem = { isCJK: function() { return false; } };');
+loader.loadScript(context, 'rpg_windows/Window_Base.js');
+var textWindow = loader.run(context,
+    'var textWindow = Object.create(Window_Base.prototype);' +
+    'textWindow.contents = { fontSize: 28, fontFace: "GameFont" };' +
+    'textWindow.resetFontSettings = function() {' +
+    '    this.contents.fontSize = 28;' +
+    '};' +
+    'textWindow.textWidth = function(text) {' +
+    '    return text.length * 10;' +
+    '};' +
+    'textWindow;');
+
+function wrap(text, width) {
+    var converted = textWindow.convertEscapeCharacters(text);
+    return textWindow.wrapText(converted, width).replace(/\x1b/g, '\\');
+}
+
+assert.strictEqual(wrap('The quick brown fox jumps over the lazy dog', 100),
+                   'The quick\nbrown fox\njumps over\nthe lazy\ndog');
+
+// A word longer than the width is split where it overflows.
+assert.strictEqual(wrap('Supercalifragilisticexpialidocious ok', 100),
+                   'Supercalif\nragilistic\nexpialidoc\nious ok');
+
+// CJK text breaks between any characters, except before closing punctuation
+// and after opening punctuation.
+assert.strictEqual(wrap('日本語のテキストを折り返す。「テスト」です。', 60),
+                   '日本語のテキ\nストを折り返\nす。「テス\nト」です。');
+
+// The alignment of a line applies to each line it is wrapped into.
+assert.strictEqual(wrap('\\ALIGN[center]Hello there big world\nNext line', 100),
+                   '\\ALIGN[center]Hello\n\\ALIGN[center]there big\n' +
+                   '\\ALIGN[center]world\nNext line');
+
+assert.deepStrictEqual(loader.plain(textWindow.measureTextEx('hello world foo')),
+                       { width: 150, height: 36 });
+assert.deepStrictEqual(loader.plain(textWindow.measureTextEx('hello world foo', 60)),
+                       { width: 50, height: 108 });
+
+console.log('Window_Base: ok');
\ No newline at end of file
@@ -0,0 +1,109 @@
+//-----------------------------------------------------------------------------
+// loader
+//
+// Loads the engine scripts that run without a canvas into a Node context, so
+// that the checks in this directory can be run with plain node:
+//
+//     node tests/run.js
+//     node tests/DataManager.js
+
+var fs = require('fs');
+var path = require('path');
+var vm = require('vm');
+
+var root = path.join(__dirname, '..');
+
+var coreFiles = [
+    'JsExtensions', 'Input', 'Utils', 'JsonEx', 'DamageFormula',
+    'RandomGenerator', 'Decrypter', 'CacheEntry', 'CacheMap', 'ImageCache',
+    'RequestQueue', 'StorageBackend', 'MemoryStorageBackend'
+];
+
+var managerFiles = [
+    'DataManager', 'ConfigManager', 'StorageManager', 'TextManager',
+    'SceneManager', 'BattleManager', 'BattleSimulator', 'EnemyAIManager',
+    'PathfindingManager', 'PluginManager', 'ImageManager', 'AudioManager',
+    'SoundManager'
+];
+
+// Superclasses have to be defined before the classes that inherit from them.
+var objectFiles = [
+    'Game_BattlerBase', 'Game_Battler', 'Game_Unit', 'Game_CharacterBase',
+    'Game_Character'
+];
+
+function loadScript(context, file) {
+    var code = fs.readFileSync(path.join(root, file), 'utf8');
+    vm.runInContext(code, context, { filename: file });
+}
+
+function createContext() {
+    var context = {
+        console: console,
+        require: require,
+        process: process,
+        location: { search: '' },
+        navigator: { userAgent: '' },
+        performance: { now: function() { return Date.now(); } }
+    };
+    context.window = context;
+    vm.createContext(context);
+    coreFiles.forEach(function(name) {
+        loadScript(context, 'rpg_core/' + name + '.js');
+    });
+    managerFiles.forEach(function(name) {
+        loadScript(context, 'rpg_managers/' + name + '.js');
+    });
+    var files = objectFiles.slice();
+    fs.readdirSync(path.join(root, 'rpg_objects')).forEach(function(file) {
+        var name = path.basename(file, '.js');
+        if (files.indexOf(name) < 0) {
+            files.push(name);
+        }
+    });
+    files.forEach(function(name) {
+        loadScript(context, 'rpg_objects/' + name + '.js');
+    });
+    return context;
+}
+
+// Runs the code in the context and returns the value of its last statement.
+function run(context, code) {
+    return vm.runInContext(code, context);
+}
+
+// Copies JSON data into the context, where arrays have the methods that
+// rpg_core/JsExtensions.js adds.
+function copy(context, value) {
+    context.json = JSON.stringify(value);
+    return run(context, 'JSON.parse(json);');
+}
+
+// Copies JSON data out of the context, so that it can be compared with
+// assert.deepStrictEqual.
+function plain(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+// Reads the database in tests/data and starts a game on the given map.
+function setupGame(context, mapId) {
+    var file = 'Map' + ('00' + mapId).slice(-3) + '.json';
+    context.dataDirectory = path.join(__dirname, 'data');
+    context.mapJson = fs.readFileSync(path.join(context.dataDirectory, file), 'utf8');
+    context.mapId = mapId;
+    run(context, 'BattleSimulator.loadDatabase(dataDirectory);' +
+                 'DataManager.createGameObjects();' +
+                 '$dataMap = JSON.parse(mapJson);' +
+                 'DataManager.onLoad($dataMap);' +
+                 '$gameMap.setup(mapId);');
+}
+
+module.exports = {
+    dataDirectory: path.join(__dirname, 'data'),
+    createContext: createContext,
+    loadScript: loadScript,
+    run: run,
+    copy: copy,
+    plain: plain,
+    setupGame: setupGame
+};
\ No newline at end of file
@@ -0,0 +1,28 @@
+//-----------------------------------------------------------------------------
+// run
+//
+// Runs every check in this directory, each in its own process, and exits with
+// a failure code if any of them fails.
+
+var childProcess = require('child_process');
+var fs = require('fs');
+var path = require('path');
+
+var helpers = ['loader.js', 'run.js'];
+
+var files = fs.readdirSync(__dirname).filter(function(file) {
+    return /\.js$/.test(file) && helpers.indexOf(file) < 0;
+});
+
+var failures = files.filter(function(file) {
+    var result = childProcess.spawnSync(process.execPath, [path.join(__dirname, file)], {
+        stdio: 'inherit'
+    });
+    return result.status !== 0;
+});
+
+if (failures.length > 0) {
+    console.error('Failed: ' + failures.join(', '));
+    process.exit(1);
+}
+console.log('All ' + files.length + ' checks passed');
\ No newline at end of file